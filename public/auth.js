@@ -0,0 +1,11 @@
+// Shared by the teacher pages: resolves the signed-in user, or sends the browser to the
+// login page (returning here afterwards) and resolves null.
+async function ensureSignedIn() {
+  const response = await fetch('/api/auth/me');
+  const { user } = await response.json();
+  if (!user) {
+    window.location.href = `/login.html?next=${encodeURIComponent(window.location.pathname + window.location.search)}`;
+    return null;
+  }
+  return user;
+}
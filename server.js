@@ -4,6 +4,7 @@ import http from 'http';
 import { Server } from 'socket.io';
 import { customAlphabet, nanoid } from 'nanoid';
 import { promises as fs } from 'fs';
+import crypto from 'crypto';
 import os from 'os';
 import path from 'path';
 import multer from 'multer';
@@ -11,34 +12,121 @@ import {
   evaluateAnswer,
   normalise,
   normaliseAnswer,
+  normalizeTrueFalse,
+  parseSelection,
   scoreSubmission,
 } from './server/evaluation.js';
 import { isLlmJudgeConfigured, runLlmChat } from './server/llmJudge.js';
+import { sanitizeNumericAnswer } from './server/numeric.js';
+import { sanitizeAnswerRules } from './server/answerRules.js';
+import {
+  calculateSpeedBonus,
+  calculateStreakBonus,
+  normalizeQuestionWeight,
+  sanitizeScoringProfile,
+} from './server/scoring.js';
+import {
+  balanceUnassignedPlayers,
+  findTeam,
+  formatTeamLeaderboard,
+  pickBalancedTeam,
+  sanitizeTeamSettings,
+} from './server/teams.js';
+import {
+  formatClozePrompt,
+  parseClozeMarkup,
+  placeholdersMatchBlanks,
+} from './server/cloze.js';
+import { aggregateResponses, isUnscoredQuestion } from './server/polls.js';
+import { sanitizeHotspotRegions } from './server/hotspot.js';
+import { answerChoices, buildQuestionStats } from './server/questionStats.js';
+import {
+  AUTH_COOKIE,
+  attachUser,
+  canManageQuiz,
+  createUser,
+  getUser,
+  hasUsers,
+  isAdmin,
+  isSignupEnabled,
+  issueAuthToken,
+  loadUsers,
+  publicUser,
+  readAuthToken,
+  requireAdmin,
+  requireUser,
+  resolveUserFromToken,
+  revokeAuthToken,
+  verifyCredentials,
+} from './server/auth.js';
 import {
   getAnswerStrictness,
+  getDiagnosticsEnabled,
   getLlmConfigOverrides,
   getLlmFallbackEnabled,
   getLlmPrimaryEnabled,
   getRuleMatchingConfig,
   loadSettings,
   parseAnswerStrictness,
+  parseDiagnosticsEnabled,
   parseLlmFallbackEnabled,
   parseLlmPrimaryEnabled,
   saveAnswerStrictness,
+  saveDiagnosticsEnabled,
   saveLlmFallbackEnabled,
   saveLlmPrimaryEnabled,
   saveSettings,
 } from './server/settings.js';
 import {
   DATA_DIR,
-  DATA_FILE,
-  HOMEWORK_FILE,
-  LIVE_SESSIONS_FILE,
   MEDIA_DIR,
   ensureDataDir,
   ensureMediaDir,
+  getMaxMediaBytes,
+  openStore,
+  storeDataUrlMedia,
+  storeMediaUpload,
 } from './server/storage.js';
 import { importApkgFromPath } from './server/importApkg.js';
+import { diffQuizSnapshots, snapshotQuiz } from './server/revisions.js';
+import {
+  compensateElapsed,
+  compensationAllowance,
+  createClockState,
+  estimateClock,
+  issueClockPing,
+  recordClockPong,
+} from './server/latency.js';
+import {
+  REGRADE_VERDICTS,
+  groupSubmissions,
+  regradeAward,
+  submissionKey,
+  verdictOf,
+} from './server/regrading.js';
+import {
+  SUGGESTION_LISTS,
+  addAnswerSuggestion,
+  applyAnswerSuggestion,
+  findSuggestionTarget,
+  suggestionListsFor,
+} from './server/suggestions.js';
+import {
+  applyBackupFiles,
+  buildBackupArchive,
+  getSnapshotSchedule,
+  listSnapshots,
+  pruneSnapshots,
+  readBackupArchive,
+  resolveSnapshotPath,
+  writeSnapshot,
+} from './server/backup.js';
+import {
+  getDiagnosticsQuota,
+  readDiagnosticsAudit,
+  recordDiagnosticsAudit,
+  requireDiagnosticsAccess,
+} from './server/diagnostics.js';
 import { fileURLToPath } from 'url';
 
 const app = express();
@@ -49,6 +137,15 @@ const PORT = process.env.PORT || 3000;
 const HOST = process.env.HOST || '0.0.0.0';
 const QUIZ_ROOM_PREFIX = 'quiz-';
 const DISCONNECT_PRUNE_MS = 45 * 60 * 1000;
+// How long a live session waits for its host to reclaim it after a refresh or network blip.
+const HOST_RECLAIM_GRACE_MS = 20 * 1000;
+// Upper bound on entries in one list answer (multi-select picks or an ordering).
+const MAX_ANSWER_ITEMS = 50;
+// A player's clock is sampled a few times on joining and once more as each question starts.
+const CLOCK_SYNC_PINGS = 5;
+const CLOCK_SYNC_INTERVAL_MS = 250;
+// How long the room sees a scored question's answer stats before the leaderboard covers them.
+const STATS_PAUSE_MS = 5000;
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 const quizTemplates = new Map();
@@ -58,6 +155,111 @@ const homeworkSessions = new Map();
 const generateQuizCode = customAlphabet('0123456789', 6);
 
 app.use(express.json());
+app.use(attachUser);
+
+function setAuthCookie(res, token, maxAgeMs) {
+  res.cookie(AUTH_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.COOKIE_SECURE === 'true',
+    maxAge: maxAgeMs,
+    path: '/',
+  });
+}
+
+app.get('/api/auth/me', (req, res) => {
+  res.json({
+    user: publicUser(req.user),
+    setupRequired: !hasUsers(),
+    signupEnabled: isSignupEnabled(),
+  });
+});
+
+app.post('/api/auth/register', async (req, res) => {
+  const bootstrapping = !hasUsers();
+  const creatingAsAdmin = isAdmin(req.user);
+  if (!bootstrapping && !creatingAsAdmin && !isSignupEnabled()) {
+    res.status(403).json({ error: 'Ask an admin to create your account.' });
+    return;
+  }
+
+  try {
+    const user = await createUser({
+      username: req.body?.username,
+      password: req.body?.password,
+      displayName: req.body?.displayName,
+      role: creatingAsAdmin && req.body?.role === 'admin' ? 'admin' : 'teacher',
+      setupOnly: bootstrapping && !creatingAsAdmin && !isSignupEnabled(),
+    });
+    // Admins creating accounts for colleagues stay signed in as themselves.
+    if (!creatingAsAdmin) {
+      const { token, maxAgeMs } = await issueAuthToken(user.id);
+      setAuthCookie(res, token, maxAgeMs);
+    }
+    res.status(201).json({ user: publicUser(user) });
+  } catch (error) {
+    if (error.code === 'SETUP_DONE') {
+      res.status(403).json({ error: error.message });
+      return;
+    }
+    if (['INVALID_USERNAME', 'WEAK_PASSWORD', 'USERNAME_TAKEN'].includes(error.code)) {
+      res.status(error.code === 'USERNAME_TAKEN' ? 409 : 400).json({ error: error.message });
+      return;
+    }
+    /* eslint-disable no-console */
+    console.error('Failed to register user', error);
+    res.status(500).json({ error: 'Unable to create the account right now.' });
+  }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  const username = String(req.body?.username ?? '').trim();
+  const password = String(req.body?.password ?? '');
+  if (!username || !password) {
+    res.status(400).json({ error: 'Username and password are required.' });
+    return;
+  }
+
+  try {
+    const user = await verifyCredentials(username, password);
+    if (!user) {
+      res.status(401).json({ error: 'Incorrect username or password.' });
+      return;
+    }
+    const { token, maxAgeMs } = await issueAuthToken(user.id);
+    setAuthCookie(res, token, maxAgeMs);
+    res.json({ user: publicUser(user) });
+  } catch (error) {
+    /* eslint-disable no-console */
+    console.error('Failed to sign in', error);
+    res.status(500).json({ error: 'Unable to sign in right now.' });
+  }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    await revokeAuthToken(req.authToken);
+  } catch (error) {
+    /* eslint-disable no-console */
+    console.error('Failed to revoke auth token', error);
+  }
+  res.clearCookie(AUTH_COOKIE, { path: '/' });
+  res.json({ ok: true });
+});
+
+function requireQuizOwner(req, res, next) {
+  const quizId = req.params.quizId?.trim()?.toUpperCase();
+  const quiz = quizTemplates.get(quizId);
+  if (!quiz) {
+    res.status(404).json({ error: 'Quiz not found' });
+    return;
+  }
+  if (!canManageQuiz(req.user, quiz)) {
+    res.status(403).json({ error: 'You can only manage quizzes you own.' });
+    return;
+  }
+  next();
+}
 
 app.get('/api/settings/answer-strictness', (_req, res) => {
   res.json({
@@ -70,7 +272,7 @@ app.get('/api/settings/answer-strictness', (_req, res) => {
   });
 });
 
-app.post('/api/settings/answer-strictness', async (req, res) => {
+app.post('/api/settings/answer-strictness', requireAdmin, async (req, res) => {
   const hasStrictness = req.body?.strictness !== undefined;
   const hasLlmFallback = req.body?.llmFallbackEnabled !== undefined;
   const hasLlmPrimary = req.body?.llmPrimaryEnabled !== undefined;
@@ -127,15 +329,58 @@ app.post('/api/settings/answer-strictness', async (req, res) => {
   }
 });
 
-app.post('/api/test-evaluate', async (req, res) => {
+app.get('/api/settings/diagnostics', requireAdmin, (req, res) => {
+  res.json({
+    diagnosticsEnabled: getDiagnosticsEnabled(),
+    quota: getDiagnosticsQuota(req.user.id),
+  });
+});
+
+app.post('/api/settings/diagnostics', requireAdmin, async (req, res) => {
+  const normalized = parseDiagnosticsEnabled(req.body?.diagnosticsEnabled);
+  if (normalized === null) {
+    res.status(400).json({ error: 'Diagnostics setting must be true or false.' });
+    return;
+  }
+
+  try {
+    await saveDiagnosticsEnabled(normalized);
+    res.json({
+      diagnosticsEnabled: getDiagnosticsEnabled(),
+      quota: getDiagnosticsQuota(req.user.id),
+    });
+  } catch (error) {
+    /* eslint-disable no-console */
+    console.error('Failed to save diagnostics setting', error);
+    res.status(500).json({ error: 'Unable to save the diagnostics setting right now.' });
+  }
+});
+
+app.get('/api/diagnostics/audit', requireAdmin, async (req, res) => {
+  const limit = Math.min(Math.max(Number.parseInt(req.query?.limit, 10) || 100, 1), 1000);
+  res.json({ entries: await readDiagnosticsAudit(limit) });
+});
+
+app.post('/api/test-evaluate', requireAdmin, requireDiagnosticsAccess('test-evaluate'), async (req, res) => {
   const prompt = String(req.body?.prompt ?? '').trim();
   const answer = String(req.body?.answer ?? '').trim();
   const submission = String(req.body?.submission ?? '').trim();
   const alternateAnswers = Array.isArray(req.body?.alternateAnswers) ? req.body.alternateAnswers : [];
   const partialAnswers = Array.isArray(req.body?.partialAnswers) ? req.body.partialAnswers : [];
   const gradingCondition = String(req.body?.gradingCondition ?? '').trim();
+  const answerRules = sanitizeAnswerRules(req.body?.answerRules);
+  const auditRequest = {
+    prompt,
+    answer,
+    submission,
+    alternateAnswers,
+    partialAnswers,
+    answerRules,
+    gradingCondition,
+  };
 
   if (!answer || !submission) {
+    recordDiagnosticsAudit({ user: req.user, endpoint: 'test-evaluate', request: auditRequest, outcome: 'rejected' });
     res.status(400).json({ error: 'Answer and submission are required.' });
     return;
   }
@@ -146,6 +391,7 @@ app.post('/api/test-evaluate', async (req, res) => {
       answer,
       alternateAnswers: alternateAnswers.map((entry) => String(entry ?? '').trim()).filter(Boolean),
       partialAnswers: partialAnswers.map((entry) => String(entry ?? '').trim()).filter(Boolean),
+      ...(answerRules.length ? { answerRules } : {}),
     };
     const evaluation = await evaluateAnswer(question, submission, {
       includeSpeedBonus: false,
@@ -153,6 +399,13 @@ app.post('/api/test-evaluate', async (req, res) => {
       gradingCondition,
     });
 
+    recordDiagnosticsAudit({
+      user: req.user,
+      endpoint: 'test-evaluate',
+      request: auditRequest,
+      outcome: 'ok',
+      detail: { judgedBy: evaluation.judgedBy },
+    });
     res.json({
       evaluation,
       question,
@@ -162,30 +415,48 @@ app.post('/api/test-evaluate', async (req, res) => {
         partial: question.partialAnswers.map(normaliseAnswer),
       },
       ruleConfig: getRuleMatchingConfig(),
+      quota: getDiagnosticsQuota(req.user.id),
     });
   } catch (error) {
+    recordDiagnosticsAudit({
+      user: req.user,
+      endpoint: 'test-evaluate',
+      request: auditRequest,
+      outcome: 'error',
+      detail: { message: error?.message || String(error) },
+    });
     /* eslint-disable no-console */
     console.error('Failed to evaluate test answer', error);
     res.status(500).json({ error: 'Unable to evaluate answer right now.' });
   }
 });
 
-app.post('/api/test-llm', async (req, res) => {
+app.post('/api/test-llm', requireAdmin, requireDiagnosticsAccess('test-llm'), async (req, res) => {
   const prompt = String(req.body?.prompt ?? '').trim();
   const systemPrompt = String(req.body?.systemPrompt ?? '').trim();
+  const auditRequest = { prompt, systemPrompt };
 
   if (!prompt) {
+    recordDiagnosticsAudit({ user: req.user, endpoint: 'test-llm', request: auditRequest, outcome: 'rejected' });
     res.status(400).json({ error: 'Prompt is required.' });
     return;
   }
 
   if (!isLlmJudgeConfigured()) {
+    recordDiagnosticsAudit({ user: req.user, endpoint: 'test-llm', request: auditRequest, outcome: 'rejected' });
     res.status(400).json({ error: 'No LLM providers configured.' });
     return;
   }
 
   try {
     const result = await runLlmChat({ userPrompt: prompt, systemPrompt });
+    recordDiagnosticsAudit({
+      user: req.user,
+      endpoint: 'test-llm',
+      request: auditRequest,
+      outcome: result.ok ? 'ok' : 'error',
+      detail: { provider: result.provider || null, model: result.model || null },
+    });
     res.json({
       provider: result.provider,
       model: result.model,
@@ -195,8 +466,16 @@ app.post('/api/test-llm', async (req, res) => {
         prompt,
         systemPrompt,
       },
+      quota: getDiagnosticsQuota(req.user.id),
     });
   } catch (error) {
+    recordDiagnosticsAudit({
+      user: req.user,
+      endpoint: 'test-llm',
+      request: auditRequest,
+      outcome: 'error',
+      detail: { message: error?.message || String(error) },
+    });
     /* eslint-disable no-console */
     console.error('Failed to run LLM chat', error);
     res.status(500).json({
@@ -215,20 +494,21 @@ function serializeForStorage() {
     createdAt: quiz.createdAt,
     context: quiz.context || '',
     gradingCondition: quiz.gradingCondition || '',
+    scoring: quiz.scoring,
     source: quiz.source || null,
+    ownerId: quiz.ownerId || null,
+    revision: quiz.revision || 0,
+    answerSuggestions: quiz.answerSuggestions || [],
   }));
 }
 
-async function persistQuizzes() {
-  await ensureDataDir();
-  const payload = JSON.stringify(serializeForStorage());
-  await fs.writeFile(DATA_FILE, payload, 'utf8');
+async function persistQuizzes(options) {
+  await store.saveQuizzes(serializeForStorage(), options);
 }
 
 async function loadPersistedQuizzes() {
   try {
-    const file = await fs.readFile(DATA_FILE, 'utf8');
-    const stored = JSON.parse(file);
+    const stored = store.loadQuizzes();
     stored.forEach((quiz) => {
       if (!quiz?.id || !quiz?.questions) return;
       quizTemplates.set(quiz.id, {
@@ -237,14 +517,16 @@ async function loadPersistedQuizzes() {
         createdAt: quiz.createdAt || Date.now(),
         context: String(quiz.context ?? '').trim(),
         gradingCondition: String(quiz.gradingCondition ?? '').trim(),
+        scoring: sanitizeScoringProfile(quiz.scoring),
         source: quiz.source || null,
+        ownerId: quiz.ownerId || null,
+        revision: Number(quiz.revision) || 0,
+        answerSuggestions: Array.isArray(quiz.answerSuggestions) ? quiz.answerSuggestions : [],
       });
     });
   } catch (error) {
-    if (error.code !== 'ENOENT') {
-      /* eslint-disable no-console */
-      console.error('Failed to load quizzes from disk', error);
-    }
+    /* eslint-disable no-console */
+    console.error('Failed to load quizzes from the database', error);
   }
 }
 
@@ -252,6 +534,7 @@ function serializeHomeworkForStorage() {
   return Array.from(homeworkSessions.values()).map((session) => ({
     id: session.id,
     templateId: session.templateId,
+    templateRevision: session.templateRevision || null,
     title: session.title,
     createdAt: session.createdAt,
     dueAt: session.dueAt,
@@ -265,15 +548,12 @@ function serializeHomeworkForStorage() {
 }
 
 async function persistHomeworkSessions() {
-  await ensureDataDir();
-  const payload = JSON.stringify(serializeHomeworkForStorage());
-  await fs.writeFile(HOMEWORK_FILE, payload, 'utf8');
+  await store.saveHomework(serializeHomeworkForStorage());
 }
 
 async function loadPersistedHomeworkSessions() {
   try {
-    const file = await fs.readFile(HOMEWORK_FILE, 'utf8');
-    const stored = JSON.parse(file);
+    const stored = store.loadHomework();
     stored.forEach((session) => {
       const template = quizTemplates.get(session.templateId);
       if (!template) return;
@@ -293,6 +573,7 @@ async function loadPersistedHomeworkSessions() {
       homeworkSessions.set(session.id, {
         id: session.id,
         templateId: session.templateId,
+        templateRevision: Number(session.templateRevision) || null,
         title: session.title,
         createdAt: session.createdAt,
         dueAt: session.dueAt,
@@ -302,51 +583,60 @@ async function loadPersistedHomeworkSessions() {
       });
     });
   } catch (error) {
-    if (error.code !== 'ENOENT') {
-      /* eslint-disable no-console */
-      console.error('Failed to load homework sessions from disk', error);
-    }
+    /* eslint-disable no-console */
+    console.error('Failed to load homework sessions from the database', error);
   }
 }
 
-function serializeLiveSessions() {
-  return Array.from(sessions.values()).map((session) => ({
+function serializeLiveSession(session) {
+  return {
     id: session.id,
     templateId: session.templateId,
     title: session.title,
     hostId: session.hostId || null,
+    hostTokenHash: session.hostTokenHash || null,
     createdAt: session.createdAt,
     questionActive: session.questionActive,
     currentQuestionIndex: session.currentQuestionIndex,
     questionStart: session.questionStart,
     answers: Array.from(session.answers || []),
+    questionAwards: session.questionAwards || {},
+    returnToIndex: session.returnToIndex ?? null,
     questionDuration: session.questionDuration,
     runSettings: session.runSettings,
     runSettingsConfirmed: session.runSettingsConfirmed,
     questions: session.questions,
     context: session.context || '',
     gradingCondition: session.gradingCondition || '',
+    scoring: session.scoring,
+    teams: session.teams || null,
     players: Array.from(session.players.values()).map((player) => ({
       id: player.id,
       name: player.name,
       score: player.score,
       correctCount: player.correctCount || 0,
+      streak: player.streak || 0,
+      bestStreak: player.bestStreak || 0,
+      teamId: player.teamId || null,
       lastSeen: player.lastSeen,
       socketId: null,
     })),
-  }));
+  };
 }
 
-async function persistLiveSessions() {
-  await ensureDataDir();
-  const payload = JSON.stringify(serializeLiveSessions());
-  await fs.writeFile(LIVE_SESSIONS_FILE, payload, 'utf8');
+// Pass the session that changed so only its row is serialized and written. Without one every
+// session is synced, which also removes the rows of sessions that have ended.
+async function persistLiveSessions(session = null) {
+  if (session && sessions.has(session.id)) {
+    await store.saveLiveSession(serializeLiveSession(session));
+    return;
+  }
+  await store.saveLiveSessions(Array.from(sessions.values()).map(serializeLiveSession));
 }
 
 async function loadPersistedLiveSessions() {
   try {
-    const file = await fs.readFile(LIVE_SESSIONS_FILE, 'utf8');
-    const stored = JSON.parse(file);
+    const stored = store.loadLiveSessions();
     stored.forEach((entry) => {
       if (!entry?.id || !entry?.templateId) return;
       const template = quizTemplates.get(entry.templateId);
@@ -361,6 +651,9 @@ async function loadPersistedLiveSessions() {
           name: player.name || '',
           score: Number(player.score) || 0,
           correctCount: Number(player.correctCount) || 0,
+          streak: Number(player.streak) || 0,
+          bestStreak: Number(player.bestStreak) || 0,
+          teamId: player.teamId || null,
           disconnectTimer: null,
           isConnected: false,
           disconnectedAt: null,
@@ -373,6 +666,8 @@ async function loadPersistedLiveSessions() {
         id: entry.id,
         templateId: entry.templateId,
         hostId: null,
+        hostTokenHash: entry.hostTokenHash || null,
+        hostDisconnectTimer: null,
         title: entry.title || template.title,
         players,
         baseQuestions: template.questions,
@@ -385,9 +680,15 @@ async function loadPersistedLiveSessions() {
         questionDuration: Number(entry.questionDuration) || template.questionDuration,
         context: String(entry.context ?? template.context ?? '').trim(),
         gradingCondition: String(entry.gradingCondition ?? template.gradingCondition ?? '').trim(),
+        scoring: sanitizeScoringProfile(entry.scoring ?? template.scoring),
+        teams: entry.teams?.teams?.length ? entry.teams : null,
         currentQuestionIndex: Number.isInteger(entry.currentQuestionIndex) ? entry.currentQuestionIndex : -1,
         questionStart: null,
+        questionPausedAt: null,
         answers: new Set(Array.isArray(entry.answers) ? entry.answers : []),
+        questionAwards: entry.questionAwards && typeof entry.questionAwards === 'object' ? entry.questionAwards : {},
+        returnToIndex: Number.isInteger(entry.returnToIndex) ? entry.returnToIndex : null,
+        questionResponses: [],
         questionActive: false,
         currentQuestionOptions: null,
         currentQuestionOptionsIndex: null,
@@ -399,15 +700,15 @@ async function loadPersistedLiveSessions() {
       });
     });
   } catch (error) {
-    if (error.code !== 'ENOENT') {
-      /* eslint-disable no-console */
-      console.error('Failed to load live sessions from disk', error);
-    }
+    /* eslint-disable no-console */
+    console.error('Failed to load live sessions from the database', error);
   }
 }
 
+// Media must be uploaded through /api/media first; inline data URLs are no longer accepted.
 function buildMediaPayload(media) {
   if (!media || !media.src || !media.type) return null;
+  if (!String(media.src).startsWith('/media/')) return null;
   return {
     type: media.type,
     src: media.src,
@@ -418,7 +719,21 @@ function buildMediaPayload(media) {
 function formatLeaderboard(session) {
   return Array.from(session.players.values())
     .sort((a, b) => b.score - a.score)
-    .map(({ name, score, correctCount }) => ({ name, score, correctCount: correctCount || 0 }));
+    .map(({ name, score, correctCount, streak, bestStreak, teamId }) => {
+      const team = findTeam(session.teams, teamId);
+      return {
+        name,
+        score,
+        correctCount: correctCount || 0,
+        streak: streak || 0,
+        bestStreak: bestStreak || 0,
+        ...(team ? { team: team.name } : {}),
+      };
+    });
+}
+
+function formatTeamStandings(session) {
+  return formatTeamLeaderboard(session.teams, Array.from(session.players.values()));
 }
 
 function formatHomeworkLeaderboard(session) {
@@ -455,9 +770,43 @@ function normalizeQuestionDuration(raw) {
   return clamped;
 }
 
+const QUESTION_TYPE_ALIASES = {
+  multiple: 'multiple',
+  'multiple-choice': 'multiple',
+  mc: 'multiple',
+  truefalse: 'truefalse',
+  'true-false': 'truefalse',
+  'true/false': 'truefalse',
+  tf: 'truefalse',
+  'multi-select': 'multi-select',
+  multiselect: 'multi-select',
+  'multiple-select': 'multi-select',
+  checkbox: 'multi-select',
+  numeric: 'numeric',
+  number: 'numeric',
+  ordering: 'ordering',
+  order: 'ordering',
+  sequence: 'ordering',
+  matching: 'matching',
+  match: 'matching',
+  pairs: 'matching',
+  cloze: 'cloze',
+  'fill-in-the-blank': 'cloze',
+  'fill-in-the-blanks': 'cloze',
+  poll: 'poll',
+  survey: 'poll',
+  wordcloud: 'wordcloud',
+  'word-cloud': 'wordcloud',
+  'word cloud': 'wordcloud',
+  hotspot: 'hotspot',
+  'image-hotspot': 'hotspot',
+  dictation: 'dictation',
+  'listen-and-type': 'dictation',
+};
+
 function resolveQuestionType(raw) {
   const type = String(raw ?? '').trim().toLowerCase();
-  return type === 'multiple' || type === 'multiple-choice' || type === 'mc' ? 'multiple' : 'open';
+  return QUESTION_TYPE_ALIASES[type] || 'open';
 }
 
 function sanitizeIncorrectOptions(raw = [], correctAnswer = '') {
@@ -477,12 +826,44 @@ function sanitizeIncorrectOptions(raw = [], correctAnswer = '') {
   return cleaned;
 }
 
+// Accepts `{ left, right }` objects or `[left, right]` tuples. Both columns must be unique,
+// otherwise a pick could be right for two rows.
+function sanitizeMatchingPairs(raw = []) {
+  const seenLeft = new Set();
+  const seenRight = new Set();
+  const pairs = [];
+  (Array.isArray(raw) ? raw : []).forEach((entry) => {
+    const [leftRaw, rightRaw] = Array.isArray(entry) ? entry : [entry?.left, entry?.right];
+    const left = String(leftRaw ?? '').trim();
+    const right = String(rightRaw ?? '').trim();
+    const leftKey = normaliseAnswer(left);
+    const rightKey = normaliseAnswer(right);
+    if (!leftKey || !rightKey || seenLeft.has(leftKey) || seenRight.has(rightKey)) return;
+    seenLeft.add(leftKey);
+    seenRight.add(rightKey);
+    pairs.push({ left, right });
+  });
+  return pairs;
+}
+
+function sanitizeClozeBlank(blank) {
+  const cleanList = (list) => (Array.isArray(list) ? list.map((entry) => String(entry ?? '').trim()).filter(Boolean) : []);
+  const hint = String(blank?.hint ?? '').trim();
+  return {
+    answer: String(blank?.answer ?? '').trim(),
+    alternateAnswers: cleanList(blank?.alternateAnswers),
+    partialAnswers: cleanList(blank?.partialAnswers),
+    ...(hint ? { hint } : {}),
+  };
+}
+
 function sanitizeQuestions(rawQuestions = [], { context } = {}) {
   const quizContext = String(context ?? '').trim();
   return rawQuestions
     .filter((q) => q && q.prompt)
     .map((q) => {
       const duration = normalizeQuestionDuration(q.duration);
+      const weight = normalizeQuestionWeight(q.weight);
       const type = resolveQuestionType(q.type);
       const prompt = q.prompt.trim();
       const media = buildMediaPayload(q.media);
@@ -503,9 +884,147 @@ function sanitizeQuestions(rawQuestions = [], { context } = {}) {
           incorrectOptions: cleanedIncorrect,
           media,
           ...(duration ? { duration } : {}),
+          ...(weight !== null ? { weight } : {}),
+        };
+      }
+
+      if (type === 'multi-select') {
+        const rawCorrect = [q.correctOptions, q.answers, q.answer].find(Array.isArray) || [q.answer];
+        const correctOptions = parseSelection(rawCorrect);
+        const incorrectOptions = Array.isArray(q.incorrectOptions) ? q.incorrectOptions : [];
+        const cleanedIncorrect = correctOptions.reduce(
+          (remaining, correct) => sanitizeIncorrectOptions(remaining, correct),
+          incorrectOptions,
+        );
+
+        return {
+          prompt,
+          type,
+          answer: correctOptions.join(', '),
+          correctOptions,
+          incorrectOptions: cleanedIncorrect,
+          media,
+          ...(duration ? { duration } : {}),
+          ...(weight !== null ? { weight } : {}),
+        };
+      }
+
+      if (type === 'poll') {
+        return {
+          prompt,
+          type,
+          answer: '',
+          options: sanitizeIncorrectOptions(Array.isArray(q.options) ? q.options : []),
+          media,
+          ...(duration ? { duration } : {}),
+          ...(weight !== null ? { weight } : {}),
+        };
+      }
+
+      if (type === 'dictation') {
+        return {
+          prompt,
+          type,
+          answer: String(q.answer ?? '').trim(),
+          alternateAnswers: Array.isArray(q.alternateAnswers)
+            ? q.alternateAnswers.map((alt) => String(alt ?? '').trim()).filter(Boolean)
+            : [],
+          media,
+          ...(duration ? { duration } : {}),
+          ...(weight !== null ? { weight } : {}),
+        };
+      }
+
+      if (type === 'hotspot') {
+        const regions = sanitizeHotspotRegions(q.regions);
+        const aspectRatio = Number(q.aspectRatio);
+        return {
+          prompt,
+          type,
+          answer: `${regions.length === 1 ? 'The marked area' : `Any of ${regions.length} marked areas`} on the image`,
+          regions,
+          ...(Number.isFinite(aspectRatio) && aspectRatio > 0 ? { aspectRatio } : {}),
+          media,
+          ...(duration ? { duration } : {}),
+          ...(weight !== null ? { weight } : {}),
+        };
+      }
+
+      if (type === 'wordcloud') {
+        return {
+          prompt,
+          type,
+          answer: '',
+          media,
+          ...(duration ? { duration } : {}),
+          ...(weight !== null ? { weight } : {}),
+        };
+      }
+
+      if (type === 'cloze') {
+        // Saved quizzes already carry placeholders and blanks; new ones arrive as markup.
+        const parsed = Array.isArray(q.blanks) ? { prompt, blanks: q.blanks } : parseClozeMarkup(prompt);
+        const blanks = parsed.blanks.map(sanitizeClozeBlank);
+        return {
+          prompt: parsed.prompt,
+          type,
+          answer: blanks.map((blank) => blank.answer).join(', '),
+          blanks,
+          media,
+          ...(duration ? { duration } : {}),
+          ...(weight !== null ? { weight } : {}),
+        };
+      }
+
+      if (type === 'matching') {
+        const pairs = sanitizeMatchingPairs(q.pairs);
+        return {
+          prompt,
+          type,
+          answer: pairs.map((pair) => `${pair.left} → ${pair.right}`).join('; '),
+          pairs,
+          media,
+          ...(duration ? { duration } : {}),
+          ...(weight !== null ? { weight } : {}),
+        };
+      }
+
+      if (type === 'ordering') {
+        const items = parseSelection([q.items, q.answer].find(Array.isArray) || []);
+        return {
+          prompt,
+          type,
+          answer: items.join(' → '),
+          items,
+          media,
+          ...(duration ? { duration } : {}),
+          ...(weight !== null ? { weight } : {}),
+        };
+      }
+
+      if (type === 'numeric') {
+        return {
+          prompt,
+          type,
+          ...(sanitizeNumericAnswer(q) || { answer: '' }),
+          media,
+          ...(duration ? { duration } : {}),
+          ...(weight !== null ? { weight } : {}),
+        };
+      }
+
+      if (type === 'truefalse') {
+        return {
+          prompt,
+          type,
+          answer: normalizeTrueFalse(q.answer ?? q.correctOption) || '',
+          media,
+          ...(duration ? { duration } : {}),
+          ...(weight !== null ? { weight } : {}),
         };
       }
 
+      const answerRules = sanitizeAnswerRules(q.answerRules);
       return {
         prompt,
         type,
@@ -516,14 +1035,43 @@ function sanitizeQuestions(rawQuestions = [], { context } = {}) {
         partialAnswers: Array.isArray(q.partialAnswers)
           ? q.partialAnswers.map((alt) => alt.trim()).filter(Boolean)
           : [],
+        ...(answerRules.length ? { answerRules } : {}),
         media,
         ...(duration ? { duration } : {}),
+        ...(weight !== null ? { weight } : {}),
       };
     })
     .filter((q) => {
       if (q.type === 'multiple') {
         return q.prompt && q.answer && Array.isArray(q.incorrectOptions) && q.incorrectOptions.length >= 3;
       }
+      if (q.type === 'truefalse' || q.type === 'numeric' || q.type === 'dictation') {
+        return q.prompt && q.answer;
+      }
+      if (q.type === 'ordering') {
+        return q.prompt && q.items.length >= 2;
+      }
+      if (q.type === 'matching') {
+        return q.prompt && q.pairs.length >= 2;
+      }
+      if (q.type === 'poll') {
+        return q.prompt && q.options.length >= 2;
+      }
+      if (q.type === 'wordcloud') {
+        return Boolean(q.prompt);
+      }
+      if (q.type === 'hotspot') {
+        return q.prompt && q.media?.type === 'image' && q.regions.length >= 1;
+      }
+      if (q.type === 'cloze') {
+        return q.blanks.length >= 1
+          && q.blanks.every((blank) => blank.answer)
+          && placeholdersMatchBlanks(q.prompt, q.blanks.length);
+      }
+      if (q.type === 'multi-select') {
+        return q.prompt && q.correctOptions.length >= 1
+          && q.correctOptions.length + q.incorrectOptions.length >= 3;
+      }
       return q.prompt && (q.answer || quizContext);
     });
 }
@@ -537,7 +1085,57 @@ function collectMediaSrcsFromQuestions(questions = []) {
   return out;
 }
 
-function createQuizTemplate({ title, questions, questionDuration, context = '', gradingCondition = '', sourceMeta = null }) {
+async function moveInlineMediaToStore(questions = [], cache = new Map()) {
+  let changed = false;
+  for (const question of questions) {
+    const src = question?.media?.src;
+    if (typeof src !== 'string' || !src.startsWith('data:')) continue;
+    if (!cache.has(src)) {
+      cache.set(src, await storeDataUrlMedia(src, question.media.name));
+    }
+    const stored = cache.get(src);
+    if (stored) {
+      question.media = { ...question.media, src: stored };
+      changed = true;
+    }
+  }
+  return changed;
+}
+
+// Quizzes saved before the media store existed kept base64 data URLs inline; move them into data/media.
+async function migrateInlineMedia() {
+  const cache = new Map();
+  let quizzesChanged = false;
+  let homeworkChanged = false;
+  let liveChanged = false;
+  for (const template of quizTemplates.values()) {
+    if (await moveInlineMediaToStore(template.questions, cache)) quizzesChanged = true;
+  }
+  for (const homework of homeworkSessions.values()) {
+    if (await moveInlineMediaToStore(homework.questions, cache)) homeworkChanged = true;
+  }
+  for (const session of sessions.values()) {
+    if (await moveInlineMediaToStore(session.questions, cache)) liveChanged = true;
+  }
+  if (quizzesChanged) await persistQuizzes();
+  if (homeworkChanged) await persistHomeworkSessions();
+  if (liveChanged) await persistLiveSessions();
+  if (cache.size) {
+    /* eslint-disable no-console */
+    console.log(`Moved ${cache.size} inline media file(s) into the media store`);
+  }
+}
+
+async function createQuizTemplate({
+  title,
+  questions,
+  questionDuration,
+  context = '',
+  gradingCondition = '',
+  scoring = null,
+  sourceMeta = null,
+  ownerId = null,
+}) {
   const sanitizedQuestions = sanitizeQuestions(questions, { context });
   if (!sanitizedQuestions.length) {
     return null;
@@ -556,6 +1154,10 @@ function createQuizTemplate({ title, questions, questionDuration, context = '',
     createdAt: Date.now(),
     context: String(context ?? '').trim(),
     gradingCondition: String(gradingCondition ?? '').trim(),
+    scoring: sanitizeScoringProfile(scoring ?? {}),
+    ownerId,
+    revision: 0,
+    answerSuggestions: [],
   };
 
   if (sourceMeta) {
@@ -563,15 +1165,43 @@ function createQuizTemplate({ title, questions, questionDuration, context = '',
   }
 
   quizTemplates.set(templateId, template);
-  persistQuizzes().catch((error) => {
-    /* eslint-disable no-console */
-    console.error('Failed to save quiz to disk', error);
-  });
+  await persistQuizzes({ revisions: [nextQuizRevision(template, { authorId: ownerId, note: sourceMeta ? 'Imported' : 'Created' })] });
 
   return template;
 }
 
-function updateQuizTemplate(quizId, { title, questions, questionDuration, context = '', gradingCondition = '' }) {
+// Bumps template.revision and returns the revision entry to persist with the next save.
+function nextQuizRevision(template, { authorId = null, note = '', createdAt = Date.now() } = {}) {
+  template.revision = (Number(template.revision) || 0) + 1;
+  return {
+    quizId: template.id,
+    revision: template.revision,
+    authorId,
+    createdAt,
+    note,
+    snapshot: snapshotQuiz(template),
+  };
+}
+
+// Quizzes saved before revisions existed get their current state recorded as revision 1.
+async function recordBaselineRevisions() {
+  const revisions = Array.from(quizTemplates.values())
+    .filter((template) => !template.revision)
+    .map((template) => nextQuizRevision(template, {
+      authorId: template.ownerId || null,
+      note: 'Existing version',
+      createdAt: template.createdAt || Date.now(),
+    }));
+  if (revisions.length) {
+    await persistQuizzes({ revisions });
+  }
+}
+
+async function updateQuizTemplate(
+  quizId,
+  { title, questions, questionDuration, context = '', gradingCondition = '', scoring },
+  { authorId = null, note = '' } = {},
+) {
   const template = quizTemplates.get(quizId);
   if (!template) return null;
 
@@ -585,23 +1215,22 @@ function updateQuizTemplate(quizId, { title, questions, questionDuration, contex
   template.questionDuration = Number(questionDuration) || 20;
   template.context = String(context ?? '').trim();
   template.gradingCondition = String(gradingCondition ?? '').trim();
+  // Edits and revisions from before scoring profiles existed leave the current profile alone.
+  template.scoring = sanitizeScoringProfile(scoring ?? template.scoring);
 
-  persistQuizzes().catch((error) => {
-    /* eslint-disable no-console */
-    console.error('Failed to save quiz edits to disk', error);
-  });
+  await persistQuizzes({ revisions: [nextQuizRevision(template, { authorId, note })] });
 
   return template;
 }
 
-function createHomeworkSession(template, { dueAt = null } = {}) {
+async function createHomeworkSession(template, { dueAt = null } = {}) {
   const questions = template.questions.map((question) => {
     const text = question.answer?.trim() || question.prompt?.trim() || '';
     const wordCount = Math.max(text.split(/\s+/).filter(Boolean).length || 0, 1);
     const duration = 20 + 10 * (wordCount - 1);
     const payload = { ...question, duration };
-    if (payload.type === 'multiple') {
-      payload.shuffledOptions = buildShuffledOptions(payload);
+    if (SHUFFLED_OPTION_TYPES.includes(payload.type)) {
+      payload.shuffledOptions = buildQuestionOptions(payload);
     }
     return payload;
   });
@@ -610,6 +1239,7 @@ function createHomeworkSession(template, { dueAt = null } = {}) {
   const session = {
     id: homeworkId,
     templateId: template.id,
+    templateRevision: template.revision || null,
     title: template.title,
     createdAt: Date.now(),
     dueAt: dueAt && Number.isFinite(dueAt) ? dueAt : null,
@@ -618,10 +1248,7 @@ function createHomeworkSession(template, { dueAt = null } = {}) {
     questionDuration: template.questionDuration,
   };
   homeworkSessions.set(homeworkId, session);
-  persistHomeworkSessions().catch((error) => {
-    /* eslint-disable no-console */
-    console.error('Failed to save homework to disk', error);
-  });
+  await persistHomeworkSessions();
   return session;
 }
 
@@ -630,14 +1257,30 @@ function findHomeworkSession(homeworkId) {
   return homeworkSessions.get(homeworkId.trim().toUpperCase()) || null;
 }
 
+// Homework is graded against the revision that was assigned, so later edits to the quiz never
+// change what students are marked against. Homework from before revisions uses its own copy.
+function resolveAssignedQuiz(session, template) {
+  const assigned = session.templateRevision
+    ? store.getQuizRevision(session.templateId, session.templateRevision)?.snapshot
+    : null;
+  return {
+    questions: assigned?.questions || session.questions,
+    context: (assigned ? assigned.context : template?.context) || '',
+    gradingCondition: (assigned ? assigned.gradingCondition : template?.gradingCondition) || '',
+    scoring: assigned?.scoring ?? template?.scoring,
+  };
+}
+
 async function evaluateHomeworkSubmission(session, answers = []) {
   const template = quizTemplates.get(session.templateId);
   if (!template) return { score: 0, responses: [] };
+  const { questions, context, gradingCondition, scoring } = resolveAssignedQuiz(session, template);
 
-  const evaluation = await scoreSubmission(template.questions, Array.isArray(answers) ? answers : [], {
+  const evaluation = await scoreSubmission(questions, Array.isArray(answers) ? answers : [], {
     includeSpeedBonus: false,
-    context: template.context,
-    gradingCondition: template.gradingCondition,
+    context,
+    gradingCondition,
+    scoring,
   });
   return evaluation;
 }
@@ -675,14 +1318,89 @@ function emitLeaderboard(sessionId) {
   if (!session) return;
   const leaderboard = formatLeaderboard(session);
   io.to(`${QUIZ_ROOM_PREFIX}${sessionId}`).emit('leaderboard:update', leaderboard);
+  if (session.teams) {
+    io.to(`${QUIZ_ROOM_PREFIX}${sessionId}`).emit('leaderboard:teams', formatTeamStandings(session));
+  }
+}
+
+// Applies a graded answer to one player and returns the points it was worth.
+// Only fully correct answers extend a streak; partial, wrong and missed answers end it.
+function recordScoredAnswer(session, player, evaluation, question, { speedBonus = 0, choices = null } = {}) {
+  const streakBefore = player.streak || 0;
+  const bestStreakBefore = player.bestStreak || 0;
+  if (evaluation.isCorrect) {
+    player.correctCount = (player.correctCount || 0) + 1;
+    player.streak = (player.streak || 0) + 1;
+    player.bestStreak = Math.max(player.bestStreak || 0, player.streak);
+  } else {
+    player.streak = 0;
+  }
+  const streakBonus = evaluation.isCorrect
+    ? calculateStreakBonus(session.scoring, player.streak, question.weight ?? 1)
+    : 0;
+  const earned = evaluation.earned + streakBonus;
+  player.score += earned;
+  session.answers.add(player.id);
+  // Kept per question so a skipped or replayed question can take its points back,
+  // and so the host can regrade the answer later.
+  const awards = session.questionAwards[session.currentQuestionIndex] || {};
+  awards[player.id] = {
+    earned,
+    correct: Boolean(evaluation.isCorrect),
+    verdict: verdictOf(evaluation),
+    answer: String(evaluation.playerAnswer ?? ''),
+    ...(choices ? { choices } : {}),
+    speedBonus,
+    streakBonus,
+    streakBefore,
+    bestStreakBefore,
+  };
+  session.questionAwards[session.currentQuestionIndex] = awards;
+  return { earned, streakBonus };
+}
+
+// Takes back everything awarded on one question. Streaks are only rewound for the question
+// being voided right now; later questions may have built on them since.
+function rollbackQuestionAwards(session, index, { restoreStreaks = false } = {}) {
+  const awards = session.questionAwards?.[index];
+  if (!awards) return;
+  Object.entries(awards).forEach(([playerId, award]) => {
+    const player = session.players.get(playerId);
+    if (!player) return;
+    player.score -= award.earned;
+    if (award.correct) player.correctCount = Math.max(0, (player.correctCount || 0) - 1);
+    if (restoreStreaks) {
+      player.streak = award.streakBefore;
+      player.bestStreak = award.bestStreakBefore;
+    }
+  });
+  delete session.questionAwards[index];
+}
+
+// Sends the host the submitted answers for one question, grouped by normalized text.
+function emitSubmissions(session, index) {
+  const question = session.questions[index];
+  if (!session.hostId || !question || isUnscoredQuestion(question)) return;
+  io.to(session.hostId).emit('host:submissions', {
+    index: index + 1,
+    prompt: formatClozePrompt(question.prompt),
+    accepts: suggestionListsFor(question),
+    groups: groupSubmissions(Object.entries(session.questionAwards?.[index] || {}).map(([playerId, award]) => ({
+      ...award,
+      name: session.players.get(playerId)?.name,
+    }))),
+  });
 }
 
 function clearQuestionState(session) {
   session.questionActive = false;
   session.questionStart = null;
   session.answers = new Set();
+  session.questionResponses = [];
   session.currentQuestionOptions = null;
   session.currentQuestionOptionsIndex = null;
+  session.answerGraceMs = 0;
+  session.questionPausedAt = null;
   if (session.questionTimer) {
     clearTimeout(session.questionTimer);
     session.questionTimer = null;
@@ -698,6 +1416,7 @@ function destroySession(sessionId, reason = 'deleted') {
   if (!session) return;
 
   clearQuestionState(session);
+  clearHostDisconnectTimer(session);
   if (session.lobbyTimer) {
     clearTimeout(session.lobbyTimer);
     session.lobbyTimer = null;
@@ -735,15 +1454,8 @@ function deleteHomeworkForTemplate(templateId) {
 async function garbageCollectMedia(candidateSrcs = new Set()) {
   if (!candidateSrcs.size) return;
 
-  const used = new Set();
-
-  for (const quiz of quizTemplates.values()) {
-    collectMediaSrcsFromQuestions(quiz.questions).forEach((s) => used.add(s));
-  }
-
-  for (const hw of homeworkSessions.values()) {
-    collectMediaSrcsFromQuestions(hw.questions).forEach((s) => used.add(s));
-  }
+  // Files are shared by content, so anything a quiz, revision, homework or running game uses stays.
+  const used = collectReferencedMediaSrcs();
 
   const mediaDir = path.join(DATA_DIR, 'media');
 
@@ -799,16 +1511,100 @@ function buildShuffledOptions(question) {
   return shuffled;
 }
 
-function buildRunQuestions(baseQuestions, { count, shuffle } = {}) {
-  const cloned = Array.isArray(baseQuestions) ? baseQuestions.slice() : [];
-  const max = cloned.length;
-  let desired = Number.parseInt(count, 10);
-
-  if (!Number.isFinite(desired) || desired <= 0) desired = max;
-  desired = Math.max(1, Math.min(desired, max));
+const TRUE_FALSE_OPTIONS = ['True', 'False'];
+// Types whose options are shuffled once per homework assignment rather than on every load.
+const SHUFFLED_OPTION_TYPES = ['multiple', 'multi-select', 'ordering', 'matching'];
 
-  if (shuffle) shuffleInPlace(cloned);
-  return cloned.slice(0, desired);
+function buildSelectionOptions(question) {
+  const options = [...(question?.correctOptions || []), ...(question?.incorrectOptions || [])];
+  shuffleInPlace(options);
+  return options;
+}
+
+// Never hands out a list already in the answer order, which would make the question free.
+function shuffleOutOfOrder(items = []) {
+  const shuffled = items.slice();
+  shuffleInPlace(shuffled);
+  if (shuffled.length > 1 && shuffled.every((item, index) => item === items[index])) {
+    shuffled.push(shuffled.shift());
+  }
+  return shuffled;
+}
+
+// Options shown to players: shuffled for multiple choice, multi-select, ordering and the right
+// column of matching, always True then False for true/false. Poll options keep their authored
+// order so scales like "Not at all … Very" read correctly.
+function buildQuestionOptions(question) {
+  const type = resolveQuestionType(question?.type);
+  if (type === 'multiple') return buildShuffledOptions(question);
+  if (type === 'multi-select') return buildSelectionOptions(question);
+  if (type === 'ordering') return shuffleOutOfOrder(question?.items || []);
+  if (type === 'matching') return shuffleOutOfOrder((question?.pairs || []).map((pair) => pair.right));
+  if (type === 'truefalse') return TRUE_FALSE_OPTIONS.slice();
+  if (type === 'poll') return (question?.options || []).slice();
+  return null;
+}
+
+// What clients need to mark the right answer once a question closes.
+function describeCorrectAnswer(question) {
+  return {
+    correctAnswer: question?.answer,
+    ...(question?.correctOptions ? { correctOptions: question.correctOptions } : {}),
+    ...(question?.items ? { correctOrder: question.items } : {}),
+    ...(question?.pairs ? { correctPairs: question.pairs } : {}),
+    ...(question?.blanks ? { correctBlanks: question.blanks.map((blank) => blank.answer) } : {}),
+    ...(question?.regions ? { correctRegions: question.regions } : {}),
+  };
+}
+
+// Layout a client needs besides `options`: the fixed left column of a matching question,
+// the cloze text with its {{n}} placeholders (the plain `prompt` shows blanks as underscores),
+// or the image a hotspot question is answered on.
+function describeQuestionLayout(question) {
+  if (question?.pairs) return { leftItems: question.pairs.map((pair) => pair.left) };
+  if (question?.regions) return { hotspotImage: question.media?.src || '' };
+  if (question?.blanks) {
+    return { clozeText: question.prompt, blankHints: question.blanks.map((blank) => blank.hint || '') };
+  }
+  return {};
+}
+
+function buildRunQuestions(baseQuestions, { count, shuffle } = {}) {
+  const cloned = Array.isArray(baseQuestions) ? baseQuestions.slice() : [];
+  const max = cloned.length;
+  let desired = Number.parseInt(count, 10);
+
+  if (!Number.isFinite(desired) || desired <= 0) desired = max;
+  desired = Math.max(1, Math.min(desired, max));
+
+  if (shuffle) shuffleInPlace(cloned);
+  return cloned.slice(0, desired);
+}
+
+function hashHostToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Only the hash is kept on the session (and in live-sessions.json); the raw token
+// goes to the host once and is what the run page presents to reclaim control.
+function issueHostToken(session) {
+  const token = crypto.randomBytes(24).toString('hex');
+  session.hostTokenHash = hashHostToken(token);
+  return token;
+}
+
+function verifyHostToken(session, token) {
+  if (!session?.hostTokenHash || !token || typeof token !== 'string') return false;
+  const expected = Buffer.from(session.hostTokenHash, 'hex');
+  const provided = Buffer.from(hashHostToken(token), 'hex');
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+}
+
+function clearHostDisconnectTimer(session) {
+  if (session?.hostDisconnectTimer) {
+    clearTimeout(session.hostDisconnectTimer);
+    session.hostDisconnectTimer = null;
+  }
 }
 
 function createSessionFromTemplate(template, hostId = null) {
@@ -817,6 +1613,8 @@ function createSessionFromTemplate(template, hostId = null) {
     id: sessionId,
     templateId: template.id,
     hostId,
+    hostTokenHash: null,
+    hostDisconnectTimer: null,
     title: template.title,
     players: new Map(),
     baseQuestions: template.questions,
@@ -827,9 +1625,15 @@ function createSessionFromTemplate(template, hostId = null) {
     questionDuration: template.questionDuration,
     context: String(template.context ?? '').trim(),
     gradingCondition: String(template.gradingCondition ?? '').trim(),
+    scoring: sanitizeScoringProfile(template.scoring),
+    teams: null,
     currentQuestionIndex: -1,
     questionStart: null,
+    questionPausedAt: null,
     answers: new Set(),
+    questionAwards: {},
+    returnToIndex: null,
+    questionResponses: [],
     questionActive: false,
     currentQuestionOptions: null,
     currentQuestionOptionsIndex: null,
@@ -852,12 +1656,47 @@ function findPlayerBySocket(session, socketId) {
   return null;
 }
 
+function sendClockPing(socket) {
+  if (!socket?.connected || !socket.data.clock) return;
+  socket.emit('clock:ping', { id: issueClockPing(socket.data.clock) });
+}
+
+function syncPlayerClock(socket, remaining = CLOCK_SYNC_PINGS) {
+  if (remaining <= 0 || !socket.connected) return;
+  sendClockPing(socket);
+  setTimeout(() => syncPlayerClock(socket, remaining - 1), CLOCK_SYNC_INTERVAL_MS);
+}
+
+// How long the question stays open past its timer so the slowest connected player's answer
+// can still arrive. Answers that arrive in this window are only accepted if they were sent in time.
+function resolveAnswerGrace(session) {
+  let graceMs = 0;
+  session.players.forEach((player) => {
+    const socket = player.socketId ? io.sockets.sockets.get(player.socketId) : null;
+    if (!socket) return;
+    sendClockPing(socket);
+    graceMs = Math.max(graceMs, compensationAllowance(estimateClock(socket.data.clock)));
+  });
+  return graceMs;
+}
+
+// The clock stands still while a question is paused.
+function questionElapsedMs(session) {
+  return (session.questionPausedAt || Date.now()) - session.questionStart;
+}
+
 function calculateTimeRemaining(session) {
   if (!session.questionActive || !session.questionStart) return 0;
   const currentDuration = resolveQuestionDuration(session);
   const durationMs = currentDuration * 1000;
-  const elapsedMs = Date.now() - session.questionStart;
-  return Math.max(0, Math.ceil((durationMs - elapsedMs) / 1000));
+  return Math.max(0, Math.ceil((durationMs - questionElapsedMs(session)) / 1000));
+}
+
+// After a replay the quiz picks up where it was before the host went back.
+function resolveNextQuestionIndex(session) {
+  return Number.isInteger(session.returnToIndex) && session.returnToIndex > session.currentQuestionIndex
+    ? session.returnToIndex + 1
+    : session.currentQuestionIndex + 1;
 }
 
 function resolveQuestionDuration(session, index = null) {
@@ -879,6 +1718,7 @@ function findPlayerSession(playerId, quizId = null) {
 }
 
 function emitPlayerState(socket, session, playerId = null) {
+  const player = playerId ? session.players.get(playerId) : null;
   const currentQuestion = session.questions[session.currentQuestionIndex];
   const questionDuration = resolveQuestionDuration(session);
   let questionPayload = null;
@@ -886,26 +1726,28 @@ function emitPlayerState(socket, session, playerId = null) {
   if (session.questionActive && currentQuestion) {
     const questionType = resolveQuestionType(currentQuestion.type);
     let options = null;
-    if (questionType === 'multiple') {
+    if (questionType !== 'open') {
       const needsOptions =
         session.currentQuestionOptionsIndex !== session.currentQuestionIndex ||
         !Array.isArray(session.currentQuestionOptions) ||
         session.currentQuestionOptions.length === 0;
       if (needsOptions) {
-        session.currentQuestionOptions = buildShuffledOptions(currentQuestion);
+        session.currentQuestionOptions = buildQuestionOptions(currentQuestion);
         session.currentQuestionOptionsIndex = session.currentQuestionIndex;
       }
       options = session.currentQuestionOptions;
     }
 
     questionPayload = {
-      prompt: currentQuestion.prompt,
+      prompt: formatClozePrompt(currentQuestion.prompt),
       index: session.currentQuestionIndex + 1,
       total: session.questions.length,
       duration: questionDuration,
       media: currentQuestion.media,
       type: questionType,
       options,
+      ...describeQuestionLayout(currentQuestion),
+      ...(currentQuestion.weight != null ? { weight: currentQuestion.weight } : {}),
     };
   }
 
@@ -916,9 +1758,13 @@ function emitPlayerState(socket, session, playerId = null) {
     questionDuration: session.questionDuration,
     leaderboard: formatLeaderboard(session),
     questionActive: session.questionActive,
+    questionPaused: Boolean(session.questionPausedAt),
     question: questionPayload,
     timeRemaining: calculateTimeRemaining(session),
     hasAnswered: playerId ? session.answers.has(playerId) : false,
+    ...(player ? { streak: player.streak || 0, bestStreak: player.bestStreak || 0 } : {}),
+    teams: session.teams || null,
+    ...(session.teams ? { teamId: player?.teamId || null, teamLeaderboard: formatTeamStandings(session) } : {}),
   });
 
   if (session.lobbyTimer && session.lobbyExpiresAt) {
@@ -929,14 +1775,19 @@ function emitPlayerState(socket, session, playerId = null) {
   }
 }
 
-function scheduleLeaderboard(sessionId, { fastForward = false } = {}) {
+function scheduleLeaderboard(sessionId, { fastForward = false, delayMs = 0 } = {}) {
   const session = sessions.get(sessionId);
   if (!session) return;
+  if (delayMs) {
+    session.leaderboardTimer = setTimeout(() => scheduleLeaderboard(sessionId, { fastForward }), delayMs);
+    return;
+  }
   const leaderboard = formatLeaderboard(session);
-  const hasMoreQuestions = session.currentQuestionIndex + 1 < session.questions.length;
+  const hasMoreQuestions = resolveNextQuestionIndex(session) < session.questions.length;
   const pauseSeconds = 3;
   io.to(`${QUIZ_ROOM_PREFIX}${sessionId}`).emit('leaderboard:show', {
     leaderboard,
+    ...(session.teams ? { teamLeaderboard: formatTeamStandings(session) } : {}),
     duration: hasMoreQuestions ? pauseSeconds : null,
   });
 
@@ -952,7 +1803,7 @@ function scheduleLeaderboard(sessionId, { fastForward = false } = {}) {
   }
 }
 
-function startQuestion(sessionId) {
+function startQuestion(sessionId, { replayIndex = null } = {}) {
   const session = sessions.get(sessionId);
   if (!session) return;
 
@@ -968,16 +1819,25 @@ function startQuestion(sessionId) {
 
   if (session.questionActive) return;
 
-  const nextIndex = session.currentQuestionIndex + 1;
+  const nextIndex = Number.isInteger(replayIndex) ? replayIndex : resolveNextQuestionIndex(session);
+  if (Number.isInteger(replayIndex)) {
+    session.returnToIndex = Math.max(session.returnToIndex ?? -1, session.currentQuestionIndex);
+  } else {
+    session.returnToIndex = null;
+  }
   if (nextIndex >= session.questions.length) {
     io.to(`${QUIZ_ROOM_PREFIX}${sessionId}`).emit('quiz:finished');
     return;
   }
 
+  if (session.teams) {
+    balanceUnassignedPlayers(session.teams, Array.from(session.players.values()));
+  }
   session.currentQuestionIndex = nextIndex;
   session.questionStart = Date.now();
   session.questionActive = true;
   session.answers = new Set();
+  session.questionResponses = [];
   if (session.lobbyTimer) {
     clearTimeout(session.lobbyTimer);
     session.lobbyTimer = null;
@@ -987,27 +1847,27 @@ function startQuestion(sessionId) {
   const currentQuestion = session.questions[nextIndex];
   const questionDuration = resolveQuestionDuration(session, nextIndex);
   const questionType = resolveQuestionType(currentQuestion?.type);
-  let options = null;
-  if (questionType === 'multiple') {
-    options = buildShuffledOptions(currentQuestion);
-    session.currentQuestionOptions = options;
-    session.currentQuestionOptionsIndex = nextIndex;
-  } else {
-    session.currentQuestionOptions = null;
-    session.currentQuestionOptionsIndex = null;
-  }
+  const options = buildQuestionOptions(currentQuestion);
+  session.currentQuestionOptions = options;
+  session.currentQuestionOptionsIndex = options ? nextIndex : null;
+  session.answerGraceMs = resolveAnswerGrace(session);
   io.to(`${QUIZ_ROOM_PREFIX}${sessionId}`).emit('question:start', {
-    prompt: currentQuestion.prompt,
+    prompt: formatClozePrompt(currentQuestion.prompt),
     index: nextIndex + 1,
     total: session.questions.length,
     duration: questionDuration,
     media: currentQuestion.media,
     type: questionType,
     options,
+    ...describeQuestionLayout(currentQuestion),
+    ...(currentQuestion.weight != null ? { weight: currentQuestion.weight } : {}),
   });
 
-  session.questionTimer = setTimeout(() => endQuestion(sessionId), questionDuration * 1000);
-  persistLiveSessions().catch((error) => {
+  session.questionTimer = setTimeout(
+    () => endQuestion(sessionId),
+    questionDuration * 1000 + (session.answerGraceMs || 0),
+  );
+  persistLiveSessions(session).catch((error) => {
     /* eslint-disable no-console */
     console.error('Failed to save live sessions', error);
   });
@@ -1017,68 +1877,170 @@ function endQuestion(sessionId, { fastForward = false } = {}) {
   const session = sessions.get(sessionId);
   if (!session || !session.questionActive) return;
   const currentQuestion = session.questions[session.currentQuestionIndex];
+  // Polls and word clouds have nothing to reveal, so the room sees the tally instead.
+  const outcome = isUnscoredQuestion(currentQuestion)
+    ? { results: aggregateResponses(currentQuestion, session.questionResponses) }
+    : describeCorrectAnswer(currentQuestion);
+  const tappedPoints = currentQuestion?.type === 'hotspot' ? session.questionResponses : null;
+  let stats = null;
+  if (!isUnscoredQuestion(currentQuestion)) {
+    session.players.forEach((player) => {
+      if (!session.answers.has(player.id)) player.streak = 0;
+    });
+    stats = {
+      index: session.currentQuestionIndex + 1,
+      ...buildQuestionStats(currentQuestion, {
+        options: session.currentQuestionOptions || buildQuestionOptions(currentQuestion),
+        awards: session.questionAwards?.[session.currentQuestionIndex],
+        playerCount: session.players.size,
+      }),
+    };
+  }
   clearQuestionState(session);
-  io.to(`${QUIZ_ROOM_PREFIX}${sessionId}`).emit('question:end', {
-    correctAnswer: currentQuestion?.answer,
-  });
-  scheduleLeaderboard(sessionId, { fastForward });
-  persistLiveSessions().catch((error) => {
+  io.to(`${QUIZ_ROOM_PREFIX}${sessionId}`).emit('question:end', outcome);
+  // Shown on its own for STATS_PAUSE_MS so the room can see how everyone answered.
+  if (stats) io.to(`${QUIZ_ROOM_PREFIX}${sessionId}`).emit('question:stats', stats);
+  if (tappedPoints && session.hostId) {
+    io.to(session.hostId).emit('host:hotspotHeatmap', {
+      image: currentQuestion.media?.src || '',
+      regions: currentQuestion.regions,
+      points: tappedPoints,
+    });
+  }
+  scheduleLeaderboard(sessionId, { fastForward, delayMs: stats ? STATS_PAUSE_MS : 0 });
+  persistLiveSessions(session).catch((error) => {
     /* eslint-disable no-console */
     console.error('Failed to save live sessions', error);
   });
 }
 
+// Ends the question early once every connected player has answered.
+function endQuestionIfAllAnswered(session) {
+  const connectedIds = Array.from(session.players.values())
+    .filter((entry) => entry.isConnected)
+    .map((entry) => entry.id);
+  const allPlayersAnswered =
+    connectedIds.length > 0 && connectedIds.every((id) => session.answers.has(id));
+  if (!allPlayersAnswered) return;
+  if (session.questionTimer) {
+    clearTimeout(session.questionTimer);
+    session.questionTimer = null;
+  }
+  endQuestion(session.id, { fastForward: true });
+}
+
 await ensureDataDir();
 await ensureMediaDir();
 await loadSettings();
+await loadUsers();
+const store = await openStore();
 await loadPersistedQuizzes();
 await loadPersistedHomeworkSessions();
 await loadPersistedLiveSessions();
+await migrateInlineMedia();
+await recordBaselineRevisions();
+
+io.use((socket, next) => {
+  socket.data.authToken = readAuthToken(socket.handshake.headers) || socket.handshake.auth?.token || null;
+  next();
+});
+
+// Resolved per event rather than once per connection so a sign-out takes effect immediately.
+function getSocketUser(socket) {
+  return resolveUserFromToken(socket.data.authToken);
+}
 
 io.on('connection', (socket) => {
-  socket.on('host:createQuiz', ({ title, questions, questionDuration, context, gradingCondition }) => {
+  socket.data.clock = createClockState();
+  socket.on('clock:pong', (payload) => {
+    recordClockPong(socket.data.clock, payload);
+  });
+
+  socket.on('host:createQuiz', async ({ title, questions, questionDuration, context, gradingCondition, scoring }) => {
     try {
+      const user = getSocketUser(socket);
+      if (!user) {
+        socket.emit('host:error', 'Sign in to create quizzes.');
+        return;
+      }
       if (!Array.isArray(questions) || questions.length === 0) {
         socket.emit('host:error', 'Please add at least one question.');
         return;
       }
-      const template = createQuizTemplate({ title, questions, questionDuration, context, gradingCondition });
+      const template = await createQuizTemplate({
+        title,
+        questions,
+        questionDuration,
+        context,
+        gradingCondition,
+        scoring,
+        ownerId: user.id,
+      });
       if (!template) {
         socket.emit('host:error', 'Each question needs a prompt and either an expected answer (or correct option) or quiz context.');
         return;
       }
 
       const session = createSessionFromTemplate(template);
+      const hostToken = issueHostToken(session);
 
       socket.join(`${QUIZ_ROOM_PREFIX}${session.id}`);
-      socket.emit('host:quizCreated', { quizId: session.id, templateId: template.id });
+      socket.emit('host:quizCreated', { quizId: session.id, templateId: template.id, hostToken });
     } catch (err) {
       console.error('host:createQuiz failed', err);
       socket.emit('host:error', 'Failed to create quiz due to a server error.');
     }
   });
 
-  socket.on('host:claimHost', ({ quizId }) => {
+  socket.on('host:claimHost', ({ quizId, hostToken }) => {
     const lookupId = quizId?.trim()?.toUpperCase();
     if (!lookupId) {
       socket.emit('host:error', 'Please enter a quiz code.');
       return;
     }
 
+    const user = getSocketUser(socket);
+    if (!user) {
+      socket.emit('host:error', 'Sign in to host a quiz.');
+      return;
+    }
+
     let session = sessions.get(lookupId);
+    const template = quizTemplates.get(session ? session.templateId : lookupId);
+    if (!template) {
+      socket.emit('host:error', 'Unable to find quiz with that code.');
+      return;
+    }
+    if (!canManageQuiz(user, template)) {
+      socket.emit('host:error', 'You can only host quizzes you own.');
+      return;
+    }
+    let issuedToken = null;
     if (!session) {
-      const template = quizTemplates.get(lookupId);
-      if (!template) {
-        socket.emit('host:error', 'Unable to find quiz with that code.');
+      session = createSessionFromTemplate(template, socket.id);
+      issuedToken = issueHostToken(session);
+    } else if (!session.hostTokenHash) {
+      // Sessions restored from before reclaim tokens existed: the first verified owner adopts it.
+      if (session.hostId && session.hostId !== socket.id) {
+        socket.emit('host:error', 'Another host is already controlling this quiz.');
         return;
       }
-      session = createSessionFromTemplate(template, socket.id);
+      issuedToken = issueHostToken(session);
+    } else if (!verifyHostToken(session, hostToken)) {
+      socket.emit(
+        'host:error',
+        'This session is locked to the device that launched it. Start a fresh session from the template code instead.',
+      );
+      return;
     }
 
-    if (session.hostId && session.hostId !== socket.id) {
-      socket.emit('host:error', 'Another host is already controlling this quiz.');
-      return;
+    // A valid token wins over a stale socket: the old window usually hasn't noticed it dropped yet.
+    const previousHostId = session.hostId;
+    if (previousHostId && previousHostId !== socket.id) {
+      io.to(previousHostId).emit('host:replaced');
+      io.sockets.sockets.get(previousHostId)?.leave(`${QUIZ_ROOM_PREFIX}${session.id}`);
     }
+    clearHostDisconnectTimer(session);
 
     session.baseQuestions = session.baseQuestions || session.questions;
     session.baseQuestionCount = session.baseQuestionCount || session.questions.length;
@@ -1099,6 +2061,8 @@ io.on('connection', (socket) => {
     socket.join(`${QUIZ_ROOM_PREFIX}${session.id}`);
     socket.emit('host:claimed', {
       quizId: session.id,
+      templateId: session.templateId,
+      hostToken: issuedToken,
       title: session.title,
       totalQuestions: session.questions.length,
       baseTotalQuestions: session.baseQuestionCount || session.questions.length,
@@ -1106,22 +2070,33 @@ io.on('connection', (socket) => {
       runSettingsConfirmed: !!session.runSettingsConfirmed,
       questionDuration: session.questionDuration,
       leaderboard: formatLeaderboard(session),
+      teams: session.teams || null,
+      ...(session.teams ? { teamLeaderboard: formatTeamStandings(session) } : {}),
       currentQuestionIndex: session.currentQuestionIndex,
       questionActive: session.questionActive,
+      questionPaused: Boolean(session.questionPausedAt),
+      timeRemaining: calculateTimeRemaining(session),
     });
+    const activeQuestion = session.questionActive ? session.questions[session.currentQuestionIndex] : null;
+    if (isUnscoredQuestion(activeQuestion)) {
+      socket.emit('host:questionResults', aggregateResponses(activeQuestion, session.questionResponses));
+    }
+    if (session.currentQuestionIndex >= 0) {
+      emitSubmissions(session, session.currentQuestionIndex);
+    }
     if (session.lobbyTimer && session.lobbyExpiresAt) {
       const remainingMs = session.lobbyExpiresAt - Date.now();
       if (remainingMs > 0) {
         socket.emit('quiz:countdown', { seconds: Math.ceil(remainingMs / 1000) });
       }
     }
-    persistLiveSessions().catch((error) => {
+    persistLiveSessions(session).catch((error) => {
       /* eslint-disable no-console */
       console.error('Failed to save live sessions', error);
     });
   });
 
-  socket.on('player:join', ({ quizId, name, playerId }) => {
+  socket.on('player:join', ({ quizId, name, playerId, teamId }) => {
     const session = sessions.get(quizId?.trim()?.toUpperCase());
     if (!session) {
       socket.emit('player:error', 'Quiz not found. Double check the code.');
@@ -1163,12 +2138,24 @@ io.on('connection', (socket) => {
         name: displayName,
         score: 0,
         correctCount: 0,
+        streak: 0,
+        bestStreak: 0,
+        teamId: null,
         disconnectTimer: null,
         isConnected: true,
         disconnectedAt: null,
         lastSeen: Date.now(),
       });
     }
+    const joinedPlayer = session.players.get(resolvedPlayerId);
+    if (session.teams && !findTeam(session.teams, joinedPlayer.teamId)) {
+      // Players who have not picked a team yet are placed automatically when the next question starts.
+      const chosenTeam = session.teams.assignment === 'choose' ? findTeam(session.teams, teamId) : null;
+      joinedPlayer.teamId = chosenTeam?.id
+        || (session.teams.assignment === 'auto'
+          ? pickBalancedTeam(session.teams, Array.from(session.players.values())).id
+          : null);
+    }
 
     playerSessions.set(resolvedPlayerId, session.id);
 
@@ -1179,8 +2166,11 @@ io.on('connection', (socket) => {
       totalQuestions: session.questions.length,
       questionDuration: session.questionDuration,
       playerId: resolvedPlayerId,
+      teams: session.teams || null,
+      teamId: joinedPlayer.teamId || null,
     });
     emitPlayerState(socket, session, resolvedPlayerId);
+    syncPlayerClock(socket);
 
     if (session.hostId) {
       io.to(session.hostId).emit('host:playerJoined', formatLeaderboard(session));
@@ -1197,7 +2187,7 @@ io.on('connection', (socket) => {
         socket.emit('quiz:countdown', { seconds: Math.ceil(remainingMs / 1000) });
       }
     }
-    persistLiveSessions().catch((error) => {
+    persistLiveSessions(session).catch((error) => {
       /* eslint-disable no-console */
       console.error('Failed to save live sessions', error);
     });
@@ -1252,7 +2242,73 @@ io.on('connection', (socket) => {
       runSettings: session.runSettings,
     });
     io.to(`${QUIZ_ROOM_PREFIX}${session.id}`).emit('quiz:meta', { totalQuestions: session.questions.length, title: session.title });
-    persistLiveSessions().catch((error) => {
+    persistLiveSessions(session).catch((error) => {
+      /* eslint-disable no-console */
+      console.error('Failed to save live sessions', error);
+    });
+  });
+
+  socket.on('host:configureTeams', ({ quizId, enabled, teamCount, teamNames, assignment, aggregate, answerMode }) => {
+    const session = sessions.get(quizId?.trim()?.toUpperCase());
+    if (!session) {
+      socket.emit('host:error', 'Quiz not found. Double check the code.');
+      return;
+    }
+    if (session.hostId !== socket.id) return;
+
+    if (session.currentQuestionIndex !== -1 || session.questionActive) {
+      socket.emit('host:error', 'You can only set up teams before starting.');
+      return;
+    }
+
+    const previous = session.teams;
+    session.teams = sanitizeTeamSettings({ enabled, teamCount, teamNames, assignment, aggregate, answerMode });
+    const players = Array.from(session.players.values());
+    players.forEach((player) => {
+      // Picks survive a change of scoring options, but auto mode always deals the teams afresh.
+      const keep = session.teams?.assignment === 'choose'
+        && previous?.assignment === 'choose'
+        && findTeam(session.teams, player.teamId);
+      if (!keep) player.teamId = null;
+    });
+    if (session.teams?.assignment === 'auto') {
+      balanceUnassignedPlayers(session.teams, players);
+    }
+
+    socket.emit('host:teamsConfigured', {
+      teams: session.teams,
+      teamLeaderboard: session.teams ? formatTeamStandings(session) : [],
+    });
+    players.forEach((player) => {
+      if (!player.socketId) return;
+      io.to(player.socketId).emit('player:teams', { teams: session.teams, teamId: player.teamId || null });
+    });
+    emitLeaderboard(session.id);
+    persistLiveSessions(session).catch((error) => {
+      /* eslint-disable no-console */
+      console.error('Failed to save live sessions', error);
+    });
+  });
+
+  socket.on('player:chooseTeam', ({ quizId, teamId }) => {
+    const session = sessions.get(quizId?.trim()?.toUpperCase());
+    if (!session?.teams || session.teams.assignment !== 'choose') return;
+    const player = findPlayerBySocket(session, socket.id)?.player;
+    const team = findTeam(session.teams, teamId);
+    if (!player || !team) return;
+    // Teams are fixed once the quiz starts, apart from a first pick by a latecomer.
+    if (session.currentQuestionIndex !== -1 && player.teamId) {
+      socket.emit('player:error', 'Teams are locked once the quiz has started.');
+      return;
+    }
+
+    player.teamId = team.id;
+    socket.emit('player:teams', { teams: session.teams, teamId: team.id });
+    if (session.hostId) {
+      io.to(session.hostId).emit('host:playerJoined', formatLeaderboard(session));
+    }
+    emitLeaderboard(session.id);
+    persistLiveSessions(session).catch((error) => {
       /* eslint-disable no-console */
       console.error('Failed to save live sessions', error);
     });
@@ -1287,76 +2343,343 @@ io.on('connection', (socket) => {
     });
 
     emitPlayerState(socket, session, playerId);
+    syncPlayerClock(socket);
     if (session.hostId) {
       io.to(session.hostId).emit('host:playerJoined', formatLeaderboard(session));
     }
-    persistLiveSessions().catch((error) => {
+    persistLiveSessions(session).catch((error) => {
       /* eslint-disable no-console */
       console.error('Failed to save live sessions', error);
     });
   });
 
-  socket.on('player:answer', async ({ quizId, answer }) => {
+  socket.on('player:answer', async ({ quizId, answer, shownAt, sentAt }) => {
     const session = sessions.get(quizId?.trim()?.toUpperCase());
-    if (!session || !session.questionActive) return;
+    if (!session || !session.questionActive || session.questionPausedAt) return;
     const found = findPlayerBySocket(session, socket.id);
     const player = found?.player;
     if (!player || session.answers.has(player.id)) return;
 
-    const submitted = answer ?? '';
+    const submitted = Array.isArray(answer) ? answer.slice(0, MAX_ANSWER_ITEMS).map(String) : answer ?? '';
     const currentQuestion = session.questions[session.currentQuestionIndex];
     player.lastSeen = Date.now();
-    const elapsedMs = Date.now() - session.questionStart;
+    // shownAt and sentAt are client-clock stamps; they are checked against this socket's measured clock.
+    const { elapsedMs } = compensateElapsed({
+      questionStart: session.questionStart,
+      receivedAt: player.lastSeen,
+      clock: estimateClock(socket.data.clock),
+      shownAt,
+      sentAt,
+    });
     const questionDuration = resolveQuestionDuration(session);
     const durationMs = questionDuration * 1000;
-    const timeRemaining = Math.max(0, durationMs - elapsedMs);
+    // Inside the grace period only answers that were sent before the timer ran out count.
+    // A late one is recorded as answered with no points (breaking the streak, as a wrong answer
+    // would); the correct answer waits for question:end like everyone else's.
+    if (elapsedMs > durationMs) {
+      session.answers.add(player.id);
+      if (!isUnscoredQuestion(currentQuestion)) player.streak = 0;
+      socket.emit('player:answerResult', {
+        correct: false,
+        partial: false,
+        earned: 0,
+        late: true,
+        playerAnswer: Array.isArray(submitted) ? submitted.join(', ') : String(submitted),
+      });
+      endQuestionIfAllAnswered(session);
+      persistLiveSessions(session).catch((error) => {
+        /* eslint-disable no-console */
+        console.error('Failed to save live sessions', error);
+      });
+      return;
+    }
+    const timeRemaining = durationMs - elapsedMs;
+    const askedIndex = session.currentQuestionIndex;
+    const askedAt = session.questionStart;
     const evaluation = await evaluateAnswer(currentQuestion, submitted, {
       durationMs,
       timeRemainingMs: timeRemaining,
       includeSpeedBonus: true,
       context: session.context,
       gradingCondition: session.gradingCondition,
+      scoring: session.scoring,
     });
+    const speedBonus = calculateSpeedBonus(session.scoring, durationMs, timeRemaining);
+    // Grading can be slow: the question may have been ended, skipped or replayed meanwhile,
+    // or a teammate's answer scored for this player.
+    if (!session.questionActive || session.currentQuestionIndex !== askedIndex || session.questionStart !== askedAt) {
+      return;
+    }
+    if (session.answers.has(player.id)) return;
+
+    if (evaluation.unscored) {
+      // A vote that matches no option (or an empty word) is ignored so the player can try again.
+      if (!evaluation.response) return;
+      session.answers.add(player.id);
+      session.questionResponses.push(evaluation.response);
+      socket.emit('player:answerResult', {
+        correct: false,
+        partial: false,
+        earned: 0,
+        unscored: true,
+        playerAnswer: evaluation.playerAnswer,
+      });
+      if (session.hostId) {
+        io.to(session.hostId).emit('host:questionResults', aggregateResponses(currentQuestion, session.questionResponses));
+      }
+    } else {
+      // With one answer per team, the first answer from a team is scored for every member
+      // who has not answered yet. Polls and word clouds above always take every member's answer.
+      const members = session.teams?.answerMode === 'one' && player.teamId
+        ? Array.from(session.players.values())
+          .filter((entry) => entry.teamId === player.teamId && !session.answers.has(entry.id))
+        : [player];
+      if (evaluation.point) {
+        session.questionResponses.push(evaluation.point);
+      }
+      const choices = answerChoices(currentQuestion, submitted);
+      members.forEach((member) => {
+        const { earned, streakBonus } = recordScoredAnswer(session, member, evaluation, currentQuestion, {
+          speedBonus,
+          choices,
+        });
+        if (!member.socketId) return;
+        io.to(member.socketId).emit('player:answerResult', {
+          correct: evaluation.isCorrect,
+          partial: evaluation.isPartial,
+          earned,
+          streak: member.streak,
+          bestStreak: member.bestStreak,
+          ...(streakBonus ? { streakBonus } : {}),
+          ...(member.id !== player.id ? { answeredBy: player.name } : {}),
+          ...describeCorrectAnswer(currentQuestion),
+          playerAnswer: evaluation.playerAnswer,
+          ...(evaluation.blankResults ? { blankResults: evaluation.blankResults } : {}),
+          ...(evaluation.wordDiff ? { wordDiff: evaluation.wordDiff } : {}),
+        });
+      });
+
+      emitLeaderboard(session.id);
+      emitSubmissions(session, session.currentQuestionIndex);
+    }
+
+    endQuestionIfAllAnswered(session);
+    persistLiveSessions(session).catch((error) => {
+      /* eslint-disable no-console */
+      console.error('Failed to save live sessions', error);
+    });
+  });
+
+  socket.on('host:endQuestion', ({ quizId }) => {
+    const session = sessions.get(quizId?.trim()?.toUpperCase());
+    if (!session || session.hostId !== socket.id) return;
+
+    endQuestion(quizId);
+  });
+
+  // `index` is the 1-based question number, as in `question:start`.
+  socket.on('host:getSubmissions', ({ quizId, index }) => {
+    const session = sessions.get(quizId?.trim()?.toUpperCase());
+    if (!session || session.hostId !== socket.id) return;
+    const questionIndex = Number.parseInt(index, 10) - 1;
+    if (!session.questionAwards?.[questionIndex]) {
+      socket.emit('host:error', 'No answers have been scored for that question.');
+      return;
+    }
+    emitSubmissions(session, questionIndex);
+  });
 
-    player.score += evaluation.earned;
-    if (evaluation.isCorrect) {
-      player.correctCount = (player.correctCount || 0) + 1;
+  // Regrades every answer in a group (see `submissionKey`) and moves the points to match.
+  // Streaks are left as they were; later questions may have built on them.
+  socket.on('host:overrideAnswer', ({ quizId, index, key, verdict }) => {
+    const session = sessions.get(quizId?.trim()?.toUpperCase());
+    if (!session || session.hostId !== socket.id) return;
+    const questionIndex = Number.parseInt(index, 10) - 1;
+    const awards = session.questionAwards?.[questionIndex];
+    const question = session.questions[questionIndex];
+    if (!awards || !question) {
+      socket.emit('host:error', 'No answers have been scored for that question.');
+      return;
+    }
+    if (!REGRADE_VERDICTS.includes(verdict)) {
+      socket.emit('host:error', 'Mark answers as correct, partial or wrong.');
+      return;
     }
 
-    session.answers.add(player.id);
-    socket.emit('player:answerResult', {
-      correct: evaluation.isCorrect,
-      partial: evaluation.isPartial,
-      earned: evaluation.earned,
-      correctAnswer: currentQuestion.answer,
-      playerAnswer: submitted,
+    const matching = Object.entries(awards).filter(([, award]) => submissionKey(award.answer) === key);
+    if (!matching.length) {
+      socket.emit('host:error', 'Those answers are no longer in the list.');
+      return;
+    }
+    matching.forEach(([playerId, award]) => {
+      const player = session.players.get(playerId);
+      const earned = regradeAward(award, verdict, { profile: session.scoring, weight: question.weight ?? 1 });
+      const correct = verdict === 'correct';
+      if (player) {
+        player.score += earned - award.earned;
+        player.correctCount = Math.max(0, (player.correctCount || 0) + Number(correct) - Number(award.correct));
+      }
+      Object.assign(award, { earned, correct, verdict, overridden: true });
+      if (player?.socketId) {
+        io.to(player.socketId).emit('player:answerRegraded', {
+          index: questionIndex + 1,
+          verdict,
+          correct,
+          partial: verdict === 'partial',
+          earned,
+          score: player.score,
+        });
+      }
     });
 
     emitLeaderboard(session.id);
+    emitSubmissions(session, questionIndex);
+    persistLiveSessions(session).catch((error) => {
+      /* eslint-disable no-console */
+      console.error('Failed to save live sessions', error);
+    });
+  });
 
-    const connectedIds = Array.from(session.players.values())
-      .filter((entry) => entry.isConnected)
-      .map((entry) => entry.id);
-    const allPlayersAnswered =
-      connectedIds.length > 0 && connectedIds.every((id) => session.answers.has(id));
-    if (allPlayersAnswered) {
-      if (session.questionTimer) {
-        clearTimeout(session.questionTimer);
-        session.questionTimer = null;
+  // "Accept for future": queues a group's answer for the quiz author to approve into the question.
+  socket.on('host:suggestAnswer', async ({ quizId, index, key, list }) => {
+    const session = sessions.get(quizId?.trim()?.toUpperCase());
+    if (!session || session.hostId !== socket.id) return;
+    const questionIndex = Number.parseInt(index, 10) - 1;
+    const question = session.questions[questionIndex];
+    const template = quizTemplates.get(session.templateId);
+    const award = Object.values(session.questionAwards?.[questionIndex] || {})
+      .find((entry) => submissionKey(entry.answer) === key);
+    if (!question || !template || !award) {
+      socket.emit('host:error', 'Those answers are no longer in the list.');
+      return;
+    }
+    if (!Object.hasOwn(SUGGESTION_LISTS, list)) {
+      socket.emit('host:error', 'Suggest an answer as alternate or partial.');
+      return;
+    }
+
+    const { suggestion, error } = addAnswerSuggestion(template, {
+      prompt: question.prompt,
+      answer: award.answer,
+      list,
+      source: 'live',
+      suggestedBy: getSocketUser(socket)?.id || null,
+    });
+    if (error) {
+      socket.emit('host:error', error);
+      return;
+    }
+    try {
+      await persistQuizzes();
+    } catch (saveError) {
+      /* eslint-disable no-console */
+      console.error('Failed to save answer suggestion', saveError);
+      socket.emit('host:error', 'Failed to save the suggestion.');
+      return;
+    }
+    socket.emit('host:answerSuggested', { index: questionIndex + 1, key, list: suggestion.list });
+  });
+
+  socket.on('host:pauseQuestion', ({ quizId }) => {
+    const session = sessions.get(quizId?.trim()?.toUpperCase());
+    if (!session || session.hostId !== socket.id) return;
+    if (!session.questionActive || session.questionPausedAt) {
+      socket.emit('host:error', 'There is no running question to pause.');
+      return;
+    }
+
+    session.questionPausedAt = Date.now();
+    if (session.questionTimer) {
+      clearTimeout(session.questionTimer);
+      session.questionTimer = null;
+    }
+    io.to(`${QUIZ_ROOM_PREFIX}${session.id}`).emit('question:paused', {
+      index: session.currentQuestionIndex + 1,
+      timeRemaining: calculateTimeRemaining(session),
+    });
+    persistLiveSessions(session).catch((error) => {
+      /* eslint-disable no-console */
+      console.error('Failed to save live sessions', error);
+    });
+  });
+
+  socket.on('host:resumeQuestion', ({ quizId }) => {
+    const session = sessions.get(quizId?.trim()?.toUpperCase());
+    if (!session || session.hostId !== socket.id) return;
+    if (!session.questionActive || !session.questionPausedAt) {
+      socket.emit('host:error', 'The question is not paused.');
+      return;
+    }
+
+    // Shifting the start keeps every elapsed-time calculation blind to the pause.
+    session.questionStart += Date.now() - session.questionPausedAt;
+    session.questionPausedAt = null;
+    const remainingMs = Math.max(0, resolveQuestionDuration(session) * 1000 - questionElapsedMs(session));
+    session.questionTimer = setTimeout(() => endQuestion(session.id), remainingMs + (session.answerGraceMs || 0));
+    io.to(`${QUIZ_ROOM_PREFIX}${session.id}`).emit('question:resumed', {
+      index: session.currentQuestionIndex + 1,
+      timeRemaining: calculateTimeRemaining(session),
+    });
+    persistLiveSessions(session).catch((error) => {
+      /* eslint-disable no-console */
+      console.error('Failed to save live sessions', error);
+    });
+  });
+
+  // Voids the running question, taking back anything already awarded on it. Between questions
+  // it passes over the next question instead, so a broken one never reaches the players.
+  socket.on('host:skipQuestion', ({ quizId }) => {
+    const session = sessions.get(quizId?.trim()?.toUpperCase());
+    if (!session || session.hostId !== socket.id) return;
+
+    let skippedIndex;
+    if (session.questionActive) {
+      skippedIndex = session.currentQuestionIndex;
+      rollbackQuestionAwards(session, skippedIndex, { restoreStreaks: true });
+      clearQuestionState(session);
+    } else {
+      skippedIndex = resolveNextQuestionIndex(session);
+      if (skippedIndex >= session.questions.length) {
+        socket.emit('host:error', 'There is no question left to skip.');
+        return;
+      }
+      if (session.leaderboardTimer) {
+        clearTimeout(session.leaderboardTimer);
+        session.leaderboardTimer = null;
       }
-      endQuestion(session.id, { fastForward: true });
+      session.returnToIndex = null;
+      session.currentQuestionIndex = skippedIndex;
     }
-    persistLiveSessions().catch((error) => {
+
+    io.to(`${QUIZ_ROOM_PREFIX}${session.id}`).emit('question:skipped', { index: skippedIndex + 1 });
+    emitLeaderboard(session.id);
+    scheduleLeaderboard(session.id);
+    persistLiveSessions(session).catch((error) => {
       /* eslint-disable no-console */
       console.error('Failed to save live sessions', error);
     });
   });
 
-  socket.on('host:endQuestion', ({ quizId }) => {
+  // Runs an earlier question again; `index` is the 1-based number players saw. Points from its
+  // first run are taken back, and the quiz then continues from where it was.
+  socket.on('host:replayQuestion', ({ quizId, index }) => {
     const session = sessions.get(quizId?.trim()?.toUpperCase());
     if (!session || session.hostId !== socket.id) return;
+    if (session.questionActive) {
+      socket.emit('host:error', 'End the current question before replaying one.');
+      return;
+    }
+    const replayIndex = Number.parseInt(index, 10) - 1;
+    const lastAsked = Math.max(session.currentQuestionIndex, session.returnToIndex ?? -1);
+    if (!Number.isInteger(replayIndex) || replayIndex < 0 || replayIndex > lastAsked) {
+      socket.emit('host:error', 'Pick a question that has already been asked.');
+      return;
+    }
 
-    endQuestion(quizId);
+    rollbackQuestionAwards(session, replayIndex);
+    io.to(`${QUIZ_ROOM_PREFIX}${session.id}`).emit('question:replayed', { index: replayIndex + 1 });
+    emitLeaderboard(session.id);
+    startQuestion(session.id, { replayIndex });
   });
 
   socket.on('host:updateDuration', ({ quizId, duration }) => {
@@ -1377,13 +2700,12 @@ io.on('connection', (socket) => {
       if (Number.isInteger(currentIndex) && session.questions?.[currentIndex]) {
         session.questions[currentIndex].duration = parsed;
       }
-      const elapsedMs = Date.now() - session.questionStart;
-      const remainingMs = parsed * 1000 - elapsedMs;
+      const remainingMs = parsed * 1000 - questionElapsedMs(session);
       if (remainingMs <= 0) {
         socket.emit('host:durationUpdated', { duration: parsed, timeRemaining: 0 });
         io.to(`${QUIZ_ROOM_PREFIX}${quizId}`).emit('quiz:durationChanged', { duration: parsed });
         endQuestion(session.id, { fastForward: true });
-        persistLiveSessions().catch((error) => {
+        persistLiveSessions(session).catch((error) => {
           /* eslint-disable no-console */
           console.error('Failed to save live sessions', error);
         });
@@ -1394,7 +2716,10 @@ io.on('connection', (socket) => {
         clearTimeout(session.questionTimer);
       }
       timeRemaining = Math.ceil(remainingMs / 1000);
-      session.questionTimer = setTimeout(() => endQuestion(session.id), remainingMs);
+      // A paused question gets its timer back when it resumes.
+      session.questionTimer = session.questionPausedAt
+        ? null
+        : setTimeout(() => endQuestion(session.id), remainingMs + (session.answerGraceMs || 0));
     }
 
     socket.emit('host:durationUpdated', { duration: parsed, timeRemaining });
@@ -1405,7 +2730,7 @@ io.on('connection', (socket) => {
         timeRemaining,
       });
     }
-    persistLiveSessions().catch((error) => {
+    persistLiveSessions(session).catch((error) => {
       /* eslint-disable no-console */
       console.error('Failed to save live sessions', error);
     });
@@ -1415,16 +2740,24 @@ io.on('connection', (socket) => {
     let mutated = false;
     for (const [sessionId, session] of sessions) {
       if (session.hostId === socket.id) {
-        io.to(`${QUIZ_ROOM_PREFIX}${sessionId}`).emit('quiz:ended');
-        clearQuestionState(session);
-        if (session.lobbyTimer) {
-          clearTimeout(session.lobbyTimer);
-          session.lobbyTimer = null;
-          session.lobbyExpiresAt = null;
-        }
-        session.hostId = null;
-        pruneDisconnectedPlayers(sessionId);
-        mutated = true;
+        clearHostDisconnectTimer(session);
+        session.hostDisconnectTimer = setTimeout(() => {
+          session.hostDisconnectTimer = null;
+          if (session.hostId !== socket.id) return;
+          io.to(`${QUIZ_ROOM_PREFIX}${sessionId}`).emit('quiz:ended');
+          clearQuestionState(session);
+          if (session.lobbyTimer) {
+            clearTimeout(session.lobbyTimer);
+            session.lobbyTimer = null;
+            session.lobbyExpiresAt = null;
+          }
+          session.hostId = null;
+          pruneDisconnectedPlayers(sessionId);
+          persistLiveSessions(session).catch((error) => {
+            /* eslint-disable no-console */
+            console.error('Failed to save live sessions', error);
+          });
+        }, HOST_RECLAIM_GRACE_MS);
         continue;
       }
 
@@ -1488,13 +2821,9 @@ app.get('/api/quizzes/:quizId', (req, res) => {
   });
 });
 
-app.get('/api/quizzes/:quizId/template', (req, res) => {
+app.get('/api/quizzes/:quizId/template', requireUser, requireQuizOwner, (req, res) => {
   const quizId = req.params.quizId?.trim()?.toUpperCase();
   const quiz = quizTemplates.get(quizId);
-  if (!quiz) {
-    res.status(404).json({ error: 'Quiz not found' });
-    return;
-  }
 
   res.json({
     id: quiz.id,
@@ -1504,11 +2833,14 @@ app.get('/api/quizzes/:quizId/template', (req, res) => {
     createdAt: quiz.createdAt,
     context: quiz.context || '',
     gradingCondition: quiz.gradingCondition || '',
+    scoring: quiz.scoring,
+    revision: quiz.revision,
   });
 });
 
-app.get('/api/quizzes', (_req, res) => {
+app.get('/api/quizzes', requireUser, (req, res) => {
   const payload = Array.from(quizTemplates.values())
+    .filter((quiz) => canManageQuiz(req.user, quiz))
     .map((quiz) => ({
       id: quiz.id,
       title: quiz.title,
@@ -1520,53 +2852,215 @@ app.get('/api/quizzes', (_req, res) => {
   res.json(payload);
 });
 
-app.put('/api/quizzes/:quizId', (req, res) => {
+app.put('/api/quizzes/:quizId', requireUser, requireQuizOwner, async (req, res) => {
   const quizId = req.params.quizId?.trim()?.toUpperCase();
-  const quiz = quizTemplates.get(quizId);
-  if (!quiz) {
-    res.status(404).json({ error: 'Quiz not found' });
-    return;
-  }
-
   const questions = Array.isArray(req.body?.questions) ? req.body.questions : null;
   if (!questions) {
     res.status(400).json({ error: 'Questions are required.' });
     return;
   }
 
-  const updated = updateQuizTemplate(quizId, {
-    title: req.body?.title,
-    questions,
-    questionDuration: req.body?.questionDuration,
-    context: req.body?.context,
-    gradingCondition: req.body?.gradingCondition,
-  });
+  let updated;
+  try {
+    updated = await updateQuizTemplate(quizId, {
+      title: req.body?.title,
+      questions,
+      questionDuration: req.body?.questionDuration,
+      context: req.body?.context,
+      gradingCondition: req.body?.gradingCondition,
+      scoring: req.body?.scoring,
+    }, { authorId: req.user.id });
+  } catch (error) {
+    /* eslint-disable no-console */
+    console.error('Failed to save quiz edits to disk', error);
+    res.status(500).json({ error: 'Failed to save quiz.' });
+    return;
+  }
 
   if (updated?.error) {
     res.status(400).json({ error: updated.error });
     return;
   }
 
+  res.json(formatSavedQuiz(updated));
+});
+
+function formatSavedQuiz(template) {
+  return {
+    id: template.id,
+    title: template.title,
+    questionCount: template.questions.length,
+    questionDuration: template.questionDuration,
+    createdAt: template.createdAt,
+    context: template.context || '',
+    gradingCondition: template.gradingCondition || '',
+    scoring: template.scoring,
+    revision: template.revision,
+  };
+}
+
+function formatRevisionSummary(entry) {
+  const author = entry.authorId ? getUser(entry.authorId) : null;
+  return {
+    revision: entry.revision,
+    createdAt: entry.createdAt,
+    note: entry.note,
+    author: author ? { id: author.id, displayName: author.displayName } : null,
+    title: entry.snapshot.title,
+    questionCount: Array.isArray(entry.snapshot.questions) ? entry.snapshot.questions.length : 0,
+  };
+}
+
+function parseRevisionNumber(raw) {
+  const parsed = Number.parseInt(raw, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : null;
+}
+
+app.get('/api/quizzes/:quizId/revisions', requireUser, requireQuizOwner, (req, res) => {
+  const quiz = quizTemplates.get(req.params.quizId.trim().toUpperCase());
   res.json({
-    id: updated.id,
-    title: updated.title,
-    questionCount: updated.questions.length,
-    questionDuration: updated.questionDuration,
-    createdAt: updated.createdAt,
-    context: updated.context || '',
-    gradingCondition: updated.gradingCondition || '',
+    currentRevision: quiz.revision,
+    revisions: store.listQuizRevisions(quiz.id).map(formatRevisionSummary),
   });
 });
 
-app.delete('/api/quizzes/:quizId', async (req, res) => {
-  const quizId = req.params.quizId?.trim()?.toUpperCase();
-  const quiz = quizTemplates.get(quizId);
+// Defaults to comparing the current revision with the one before it.
+app.get('/api/quizzes/:quizId/revisions/diff', requireUser, requireQuizOwner, (req, res) => {
+  const quiz = quizTemplates.get(req.params.quizId.trim().toUpperCase());
+  const to = req.query.to === undefined ? quiz.revision : parseRevisionNumber(req.query.to);
+  const from = req.query.from === undefined ? (to || 0) - 1 : parseRevisionNumber(req.query.from);
+  const fromEntry = from ? store.getQuizRevision(quiz.id, from) : null;
+  const toEntry = to ? store.getQuizRevision(quiz.id, to) : null;
+  if (!fromEntry || !toEntry) {
+    res.status(404).json({ error: 'Revision not found.' });
+    return;
+  }
 
-  if (!quiz) {
-    res.status(404).json({ error: 'Quiz not found' });
+  res.json({
+    from: formatRevisionSummary(fromEntry),
+    to: formatRevisionSummary(toEntry),
+    ...diffQuizSnapshots(fromEntry.snapshot, toEntry.snapshot),
+  });
+});
+
+app.get('/api/quizzes/:quizId/revisions/:revision', requireUser, requireQuizOwner, (req, res) => {
+  const quiz = quizTemplates.get(req.params.quizId.trim().toUpperCase());
+  const revision = parseRevisionNumber(req.params.revision);
+  const entry = revision ? store.getQuizRevision(quiz.id, revision) : null;
+  if (!entry) {
+    res.status(404).json({ error: 'Revision not found.' });
+    return;
+  }
+  res.json({ ...formatRevisionSummary(entry), ...entry.snapshot });
+});
+
+// Restoring never rewrites history: the old content is saved again as a new revision.
+app.post('/api/quizzes/:quizId/revisions/:revision/restore', requireUser, requireQuizOwner, async (req, res) => {
+  const quiz = quizTemplates.get(req.params.quizId.trim().toUpperCase());
+  const revision = parseRevisionNumber(req.params.revision);
+  const entry = revision ? store.getQuizRevision(quiz.id, revision) : null;
+  if (!entry) {
+    res.status(404).json({ error: 'Revision not found.' });
     return;
   }
 
+  let updated;
+  try {
+    updated = await updateQuizTemplate(quiz.id, entry.snapshot, {
+      authorId: req.user.id,
+      note: `Restored revision ${entry.revision}`,
+    });
+  } catch (error) {
+    /* eslint-disable no-console */
+    console.error('Failed to save restored revision to disk', error);
+    res.status(500).json({ error: 'Failed to restore revision.' });
+    return;
+  }
+  if (updated?.error) {
+    res.status(400).json({ error: updated.error });
+    return;
+  }
+
+  res.json(formatSavedQuiz(updated));
+});
+
+function formatAnswerSuggestions(quiz) {
+  return (quiz.answerSuggestions || []).map((suggestion) => {
+    const questionIndex = findSuggestionTarget(quiz.questions, suggestion);
+    return { ...suggestion, questionIndex, stale: questionIndex === -1 };
+  });
+}
+
+function findAnswerSuggestion(quiz, suggestionId) {
+  return (quiz.answerSuggestions || []).find((entry) => entry.id === suggestionId) || null;
+}
+
+app.get('/api/quizzes/:quizId/suggestions', requireUser, requireQuizOwner, (req, res) => {
+  const quiz = quizTemplates.get(req.params.quizId.trim().toUpperCase());
+  res.json({ suggestions: formatAnswerSuggestions(quiz) });
+});
+
+// Approving saves the quiz as a new revision with the answer added to the question's list.
+app.post('/api/quizzes/:quizId/suggestions/:suggestionId/approve', requireUser, requireQuizOwner, async (req, res) => {
+  const quiz = quizTemplates.get(req.params.quizId.trim().toUpperCase());
+  const suggestion = findAnswerSuggestion(quiz, req.params.suggestionId);
+  if (!suggestion) {
+    res.status(404).json({ error: 'Suggestion not found.' });
+    return;
+  }
+  const applied = applyAnswerSuggestion(quiz.questions, suggestion);
+  if (applied.error) {
+    res.status(409).json({ error: applied.error });
+    return;
+  }
+
+  quiz.answerSuggestions = quiz.answerSuggestions.filter((entry) => entry.id !== suggestion.id);
+  const listName = suggestion.list === 'partial' ? 'a partial' : 'an alternate';
+  let updated;
+  try {
+    updated = await updateQuizTemplate(quiz.id, { ...quiz, questions: applied.questions }, {
+      authorId: req.user.id,
+      note: `Accepted "${suggestion.answer}" as ${listName} answer`,
+    });
+  } catch (error) {
+    quiz.answerSuggestions.push(suggestion);
+    /* eslint-disable no-console */
+    console.error('Failed to save quiz edits to disk', error);
+    res.status(500).json({ error: 'Failed to save quiz.' });
+    return;
+  }
+  if (updated?.error) {
+    quiz.answerSuggestions.push(suggestion);
+    res.status(400).json({ error: updated.error });
+    return;
+  }
+
+  res.json({ quiz: formatSavedQuiz(updated), suggestions: formatAnswerSuggestions(updated) });
+});
+
+app.post('/api/quizzes/:quizId/suggestions/:suggestionId/reject', requireUser, requireQuizOwner, async (req, res) => {
+  const quiz = quizTemplates.get(req.params.quizId.trim().toUpperCase());
+  if (!findAnswerSuggestion(quiz, req.params.suggestionId)) {
+    res.status(404).json({ error: 'Suggestion not found.' });
+    return;
+  }
+
+  quiz.answerSuggestions = quiz.answerSuggestions.filter((entry) => entry.id !== req.params.suggestionId);
+  try {
+    await persistQuizzes();
+  } catch (error) {
+    /* eslint-disable no-console */
+    console.error('Failed to save quiz to disk', error);
+    res.status(500).json({ error: 'Failed to save quiz.' });
+    return;
+  }
+  res.json({ suggestions: formatAnswerSuggestions(quiz) });
+});
+
+app.delete('/api/quizzes/:quizId', requireUser, requireQuizOwner, async (req, res) => {
+  const quizId = req.params.quizId?.trim()?.toUpperCase();
+  const quiz = quizTemplates.get(quizId);
+
   const mediaCandidates = new Set();
   collectMediaSrcsFromQuestions(quiz.questions).forEach((s) => mediaCandidates.add(s));
 
@@ -1603,7 +3097,7 @@ app.delete('/api/quizzes/:quizId', async (req, res) => {
   });
 });
 
-app.post('/api/homework', (req, res) => {
+app.post('/api/homework', requireUser, async (req, res) => {
   const quizId = req.body?.quizId?.trim()?.toUpperCase();
   const dueAtRaw = req.body?.dueAt;
   const dueAt = dueAtRaw ? Date.parse(dueAtRaw) : null;
@@ -1613,12 +3107,25 @@ app.post('/api/homework', (req, res) => {
     res.status(404).json({ error: 'Quiz not found' });
     return;
   }
+  if (!canManageQuiz(req.user, template)) {
+    res.status(403).json({ error: 'You can only assign quizzes you own.' });
+    return;
+  }
 
-  const session = createHomeworkSession(template, { dueAt: Number.isFinite(dueAt) ? dueAt : null });
+  let session;
+  try {
+    session = await createHomeworkSession(template, { dueAt: Number.isFinite(dueAt) ? dueAt : null });
+  } catch (error) {
+    /* eslint-disable no-console */
+    console.error('Failed to save homework to disk', error);
+    res.status(500).json({ error: 'Failed to assign homework.' });
+    return;
+  }
   res.json({
     id: session.id,
     title: session.title,
     quizId: session.templateId,
+    quizRevision: session.templateRevision,
     createdAt: session.createdAt,
     dueAt: session.dueAt,
     questionCount: template.questions.length,
@@ -1638,21 +3145,24 @@ app.get('/api/homework/:homeworkId', (req, res) => {
     id: session.id,
     title: session.title,
     quizId: session.templateId,
+    quizRevision: session.templateRevision,
     createdAt: session.createdAt,
     dueAt: session.dueAt,
     questionCount: template?.questions?.length || 0,
     questions: session.questions.map((question) => {
       const type = resolveQuestionType(question.type);
       const payload = {
-        prompt: question.prompt,
+        prompt: formatClozePrompt(question.prompt),
         media: question.media,
         duration: question.duration,
         type,
+        ...describeQuestionLayout(question),
+        ...(question.weight != null ? { weight: question.weight } : {}),
       };
-      if (type === 'multiple') {
-        const options = Array.isArray(question.shuffledOptions) && question.shuffledOptions.length
-          ? question.shuffledOptions
-          : buildShuffledOptions(question);
+      const options = Array.isArray(question.shuffledOptions) && question.shuffledOptions.length
+        ? question.shuffledOptions
+        : buildQuestionOptions(question);
+      if (options) {
         payload.options = options;
       }
       return payload;
@@ -1670,33 +3180,122 @@ app.get('/api/homework/:homeworkId/leaderboard', (req, res) => {
   res.json(formatHomeworkLeaderboard(session));
 });
 
+// Homework review is for the quiz's owner: every learner's latest answers, grouped per question.
+function findOwnedHomework(req, res) {
+  const session = findHomeworkSession(req.params.homeworkId);
+  const template = session ? quizTemplates.get(session.templateId) : null;
+  if (!session || !template) {
+    res.status(404).json({ error: 'Homework not found' });
+    return null;
+  }
+  if (!canManageQuiz(req.user, template)) {
+    res.status(403).json({ error: 'You can only review homework for quizzes you own.' });
+    return null;
+  }
+  return { session, template };
+}
+
+app.get('/api/homework/:homeworkId/answers', requireUser, (req, res) => {
+  const found = findOwnedHomework(req, res);
+  if (!found) return;
+  const { session, template } = found;
+  const submissions = Array.from(session.submissions.values());
+
+  res.json({
+    questions: template.questions.map((question, index) => {
+      const prompt = formatClozePrompt(question.prompt);
+      const entries = submissions
+        .map((submission) => ({ submission, response: submission.responses?.[index] }))
+        .filter(({ response }) => response && !response.unscored && response.prompt === prompt)
+        .map(({ submission, response }) => ({
+          name: submission.name,
+          answer: response.submitted,
+          verdict: verdictOf(response),
+        }));
+      return {
+        index,
+        prompt,
+        type: resolveQuestionType(question.type),
+        accepts: suggestionListsFor(question),
+        groups: groupSubmissions(entries),
+      };
+    }),
+    suggestions: formatAnswerSuggestions(template),
+  });
+});
+
+app.post('/api/homework/:homeworkId/suggestions', requireUser, async (req, res) => {
+  const found = findOwnedHomework(req, res);
+  if (!found) return;
+  const { template } = found;
+  const questionIndex = Number(req.body?.questionIndex);
+  const question = template.questions[questionIndex];
+  if (!question) {
+    res.status(400).json({ error: 'Invalid question index' });
+    return;
+  }
+  if (!Object.hasOwn(SUGGESTION_LISTS, req.body?.list)) {
+    res.status(400).json({ error: 'Suggest an answer as alternate or partial.' });
+    return;
+  }
+
+  const { suggestion, error } = addAnswerSuggestion(template, {
+    questionIndex,
+    prompt: question.prompt,
+    answer: req.body?.answer,
+    list: req.body.list,
+    source: 'homework',
+    suggestedBy: req.user.id,
+  });
+  if (error) {
+    res.status(400).json({ error });
+    return;
+  }
+  try {
+    await persistQuizzes();
+  } catch (saveError) {
+    /* eslint-disable no-console */
+    console.error('Failed to save answer suggestion', saveError);
+    res.status(500).json({ error: 'Failed to save the suggestion.' });
+    return;
+  }
+  res.json({ suggestion });
+});
+
 app.post('/api/homework/:homeworkId/evaluate', async (req, res) => {
   const session = findHomeworkSession(req.params.homeworkId);
   if (!session) {
     res.status(404).json({ error: 'Homework not found' });
     return;
   }
-  const template = quizTemplates.get(session.templateId);
+  const { questions, context, gradingCondition, scoring } = resolveAssignedQuiz(
+    session,
+    quizTemplates.get(session.templateId),
+  );
 
   const questionIndex = Number(req.body?.questionIndex);
-  if (!Number.isInteger(questionIndex) || questionIndex < 0 || questionIndex >= session.questions.length) {
+  if (!Number.isInteger(questionIndex) || questionIndex < 0 || questionIndex >= questions.length) {
     res.status(400).json({ error: 'Invalid question index' });
     return;
   }
 
-  const question = session.questions[questionIndex];
+  const question = questions[questionIndex];
   const answer = req.body?.answer ?? '';
   const evaluation = await evaluateAnswer(question, answer, {
     includeSpeedBonus: false,
-    context: template?.context || '',
-    gradingCondition: template?.gradingCondition || '',
+    context,
+    gradingCondition,
+    scoring,
   });
 
   res.json({
     isCorrect: evaluation.isCorrect,
     isPartial: evaluation.isPartial,
-    correctAnswer: evaluation.correctAnswer,
+    ...(evaluation.unscored ? { unscored: true } : {}),
+    ...describeCorrectAnswer(question),
     playerAnswer: evaluation.playerAnswer,
+    ...(evaluation.blankResults ? { blankResults: evaluation.blankResults } : {}),
+    ...(evaluation.wordDiff ? { wordDiff: evaluation.wordDiff } : {}),
   });
 });
 
@@ -1716,15 +3315,63 @@ app.post('/api/homework/:homeworkId/submit', async (req, res) => {
   const submission = await recordHomeworkSubmission(session, playerName, answers);
   const leaderboard = formatHomeworkLeaderboard(session);
   const review = (submission?.responses || [])
-    .filter((entry) => !entry.isCorrect)
+    .filter((entry) => !entry.isCorrect && !entry.unscored)
     .map((entry) => ({
       prompt: entry.prompt,
       submitted: entry.submitted,
       correctAnswer: entry.correctAnswer,
+      ...(entry.wordDiff ? { wordDiff: entry.wordDiff } : {}),
   }));
   res.json({ submission, leaderboard, review });
 });
 
+const mediaUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: getMaxMediaBytes(), files: 1 },
+});
+
+app.post('/api/media', requireUser, (req, res) => {
+  mediaUpload.single('media')(req, res, async (uploadError) => {
+    if (uploadError) {
+      const tooLarge = uploadError.code === 'LIMIT_FILE_SIZE';
+      res.status(tooLarge ? 413 : 400).json({
+        error: tooLarge
+          ? `Media files must be ${Math.round(getMaxMediaBytes() / (1024 * 1024))} MB or smaller.`
+          : uploadError.message || 'Upload failed.',
+      });
+      return;
+    }
+    if (!req.file) {
+      res.status(400).json({ error: 'Please attach a media file.' });
+      return;
+    }
+
+    try {
+      const stored = await storeMediaUpload(req.file.buffer, {
+        declaredType: req.file.mimetype,
+        originalName: req.file.originalname,
+      });
+      res.status(stored.deduplicated ? 200 : 201).json(stored);
+    } catch (error) {
+      if (error.code === 'MEDIA_TOO_LARGE') {
+        res.status(413).json({ error: error.message });
+        return;
+      }
+      if (error.code === 'INVALID_MEDIA_TYPE') {
+        res.status(415).json({ error: error.message });
+        return;
+      }
+      if (error.code === 'EMPTY_MEDIA') {
+        res.status(400).json({ error: error.message });
+        return;
+      }
+      /* eslint-disable no-console */
+      console.error('Failed to store uploaded media', error);
+      res.status(500).json({ error: 'Unable to store that file right now.' });
+    }
+  });
+});
+
 const apkgUpload = multer({
   storage: multer.diskStorage({
     destination: (req, file, cb) => cb(null, os.tmpdir()),
@@ -1737,16 +3384,22 @@ const apkgUpload = multer({
   },
 });
 
-app.post('/api/quizzes/import/apkg', apkgUpload.single('apkg'), async (req, res) => {
+app.post('/api/quizzes/import/apkg', requireUser, apkgUpload.single('apkg'), async (req, res) => {
   if (!req.file) {
     res.status(400).json({ error: 'Please upload an .apkg file.' });
     return;
   }
 
   try {
-    const importResult = await importApkgFromPath(req.file.path, req.file.originalname);
+    const format = req.body?.format === 'matching' ? 'matching' : 'questions';
+    const importResult = await importApkgFromPath(req.file.path, req.file.originalname, { format });
+    // The same deck may be imported once per format, e.g. as open questions and as matching rounds.
     const alreadyImported = Array.from(quizTemplates.values()).some(
-      (template) => template.source?.sha256 && template.source.sha256 === importResult.sha256,
+      (template) =>
+        template.source?.sha256 &&
+        template.source.sha256 === importResult.sha256 &&
+        (template.source.format || 'questions') === format &&
+        canManageQuiz(req.user, template),
     );
 
     if (alreadyImported) {
@@ -1755,8 +3408,8 @@ app.post('/api/quizzes/import/apkg', apkgUpload.single('apkg'), async (req, res)
     }
 
     const created = [];
-    importResult.templates.forEach((templateData) => {
-      const template = createQuizTemplate({
+    for (const templateData of importResult.templates) {
+      const template = await createQuizTemplate({
         title: templateData.deckName || templateData.title || 'Imported deck',
         questions: templateData.questions,
         questionDuration: 20,
@@ -1766,7 +3419,9 @@ app.post('/api/quizzes/import/apkg', apkgUpload.single('apkg'), async (req, res)
           deckId: templateData.deckId,
           deckName: templateData.deckName,
           fileName: req.file.originalname,
+          format,
         },
+        ownerId: req.user.id,
       });
       if (template) {
         created.push({
@@ -1775,7 +3430,7 @@ app.post('/api/quizzes/import/apkg', apkgUpload.single('apkg'), async (req, res)
           questionCount: template.questions.length,
         });
       }
-    });
+    }
 
     if (!created.length) {
       res.status(400).json({ error: 'No quizzes could be created from this package.' });
@@ -1799,6 +3454,210 @@ app.post('/api/quizzes/import/apkg', apkgUpload.single('apkg'), async (req, res)
   }
 });
 
+function collectReferencedMediaSrcs() {
+  const srcs = new Set();
+  for (const template of quizTemplates.values()) {
+    collectMediaSrcsFromQuestions(template.questions).forEach((src) => srcs.add(src));
+    store.listQuizRevisions(template.id).forEach(({ snapshot }) => {
+      collectMediaSrcsFromQuestions(snapshot.questions).forEach((src) => srcs.add(src));
+    });
+  }
+  for (const homework of homeworkSessions.values()) {
+    collectMediaSrcsFromQuestions(homework.questions).forEach((src) => srcs.add(src));
+  }
+  for (const session of sessions.values()) {
+    collectMediaSrcsFromQuestions(session.questions).forEach((src) => srcs.add(src));
+  }
+  return srcs;
+}
+
+async function buildCurrentBackup(reason) {
+  await store.flush();
+  return buildBackupArchive({
+    database: store.exportDatabase(),
+    mediaSrcs: collectReferencedMediaSrcs(),
+    reason,
+  });
+}
+
+async function createSnapshot(reason) {
+  const snapshot = await writeSnapshot(await buildCurrentBackup(reason), reason);
+  await pruneSnapshots(getSnapshotSchedule().retain);
+  return snapshot;
+}
+
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+
+// Takes a snapshot once the newest one is older than the interval, then keeps that cadence.
+async function scheduleNextSnapshot() {
+  const { intervalMs } = getSnapshotSchedule();
+  if (!intervalMs) return;
+  const [latest] = await listSnapshots();
+  const dueIn = latest ? Math.max(0, latest.createdAt + intervalMs - Date.now()) : intervalMs;
+  const timer = setTimeout(() => {
+    createSnapshot('scheduled')
+      .catch((error) => {
+        /* eslint-disable no-console */
+        console.error('Failed to write scheduled snapshot', error);
+      })
+      .finally(() => {
+        scheduleNextSnapshot().catch(() => {});
+      });
+  }, Math.min(dueIn, MAX_TIMER_DELAY_MS));
+  timer.unref();
+}
+
+let restoreInProgress = false;
+
+// Replaces every piece of persisted state with the archive's contents. A "pre-restore"
+// snapshot is written first so the restore itself can be rolled back.
+async function restoreFromBackup(buffer) {
+  const backup = await readBackupArchive(buffer);
+  const safetySnapshot = await createSnapshot('pre-restore');
+
+  Array.from(sessions.keys()).forEach((sessionId) => destroySession(sessionId, 'restored'));
+  await store.replaceDatabase(backup.database);
+  await applyBackupFiles(backup);
+
+  quizTemplates.clear();
+  homeworkSessions.clear();
+  sessions.clear();
+  playerSessions.clear();
+  await loadSettings();
+  await loadUsers();
+  await loadPersistedQuizzes();
+  await loadPersistedHomeworkSessions();
+  await loadPersistedLiveSessions();
+  await recordBaselineRevisions();
+
+  return {
+    restoredFrom: backup.manifest.createdAt,
+    safetySnapshot: safetySnapshot.name,
+    quizzes: quizTemplates.size,
+    homework: homeworkSessions.size,
+    media: backup.media.length,
+  };
+}
+
+async function handleRestore(req, res, readArchive) {
+  if (restoreInProgress) {
+    res.status(409).json({ error: 'A restore is already running.' });
+    return;
+  }
+  restoreInProgress = true;
+  const adminId = req.user.id;
+  try {
+    const summary = await restoreFromBackup(await readArchive());
+    // The restored users file replaces every sign-in, so keep the admin who ran the restore signed in.
+    if (getUser(adminId)) {
+      const { token, maxAgeMs } = await issueAuthToken(adminId);
+      setAuthCookie(res, token, maxAgeMs);
+    }
+    res.json({ ...summary, signedOut: !getUser(adminId) });
+  } catch (error) {
+    if (error.code === 'INVALID_BACKUP') {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+    /* eslint-disable no-console */
+    console.error('Failed to restore backup', error);
+    res.status(500).json({ error: 'Restore failed. The pre-restore snapshot can be used to roll back.' });
+  } finally {
+    restoreInProgress = false;
+  }
+}
+
+app.get('/api/admin/backup', requireAdmin, async (req, res) => {
+  try {
+    const zip = await buildCurrentBackup('download');
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    res.attachment(`quiz-backup-${stamp}.zip`);
+    zip
+      .generateNodeStream({ type: 'nodebuffer', streamFiles: true, compression: 'DEFLATE' })
+      .on('error', (error) => {
+        /* eslint-disable no-console */
+        console.error('Failed to stream backup', error);
+        res.destroy(error);
+      })
+      .pipe(res);
+  } catch (error) {
+    /* eslint-disable no-console */
+    console.error('Failed to build backup', error);
+    res.status(500).json({ error: 'Unable to build a backup right now.' });
+  }
+});
+
+const backupUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => cb(null, os.tmpdir()),
+    filename: (req, file, cb) => cb(null, `backup_${Date.now()}_${nanoid(6)}.zip`),
+  }),
+  limits: { fileSize: 1024 * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const ok = file.originalname?.toLowerCase().endsWith('.zip');
+    cb(ok ? null : new Error('Only .zip backup archives are allowed'), ok);
+  },
+});
+
+app.post('/api/admin/restore', requireAdmin, backupUpload.single('backup'), async (req, res) => {
+  if (!req.file) {
+    res.status(400).json({ error: 'Please upload a backup archive.' });
+    return;
+  }
+  try {
+    await handleRestore(req, res, () => fs.readFile(req.file.path));
+  } finally {
+    await fs.unlink(req.file.path).catch(() => {});
+  }
+});
+
+app.get('/api/admin/snapshots', requireAdmin, async (req, res) => {
+  const { intervalMs, retain } = getSnapshotSchedule();
+  res.json({
+    snapshots: await listSnapshots(),
+    schedule: { intervalHours: intervalMs / (60 * 60 * 1000), retain },
+  });
+});
+
+app.post('/api/admin/snapshots', requireAdmin, async (req, res) => {
+  try {
+    res.status(201).json(await createSnapshot('manual'));
+  } catch (error) {
+    /* eslint-disable no-console */
+    console.error('Failed to write snapshot', error);
+    res.status(500).json({ error: 'Unable to write a snapshot right now.' });
+  }
+});
+
+app.get('/api/admin/snapshots/:name', requireAdmin, (req, res) => {
+  const filePath = resolveSnapshotPath(req.params.name);
+  if (!filePath) {
+    res.status(404).json({ error: 'Snapshot not found.' });
+    return;
+  }
+  res.download(filePath, req.params.name, (error) => {
+    if (error && !res.headersSent) res.status(404).json({ error: 'Snapshot not found.' });
+  });
+});
+
+app.post('/api/admin/snapshots/:name/restore', requireAdmin, async (req, res) => {
+  const filePath = resolveSnapshotPath(req.params.name);
+  if (!filePath) {
+    res.status(404).json({ error: 'Snapshot not found.' });
+    return;
+  }
+  await handleRestore(req, res, async () => {
+    try {
+      return await fs.readFile(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      const missing = new Error('Snapshot not found.');
+      missing.code = 'INVALID_BACKUP';
+      throw missing;
+    }
+  });
+});
+
 app.use((err, req, res, next) => {
   if (err && err.code === 'LIMIT_FILE_SIZE') {
     return res.status(413).json({ error: 'File too large. Increase upload limit or upload a smaller .apkg.' });
@@ -1813,3 +3672,20 @@ server.listen(PORT, HOST, () => {
   /* eslint-disable no-console */
   console.log(`Quiz server listening on http://${HOST}:${PORT}`);
 });
+
+scheduleNextSnapshot().catch((error) => {
+  /* eslint-disable no-console */
+  console.error('Failed to schedule snapshots', error);
+});
+
+// Database writes are batched, so push the last batch to disk before exiting.
+['SIGINT', 'SIGTERM'].forEach((signal) => {
+  process.once(signal, () => {
+    store.flush()
+      .catch((error) => {
+        /* eslint-disable no-console */
+        console.error('Failed to write database on shutdown', error);
+      })
+      .finally(() => process.exit(0));
+  });
+});
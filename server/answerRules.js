@@ -0,0 +1,181 @@
+import vm from 'vm';
+
+// Pattern rules let an open question accept answers by shape rather than by exact text.
+// Each rule is `{ verdict: 'correct' | 'partial', keywords?, forbidden?, order?, pattern?, flags? }`
+// and matches when every condition it sets holds:
+// - keywords: words or phrases that must all appear (whole words, after answer normalization)
+// - forbidden: words or phrases that must not appear
+// - order: words or phrases that must appear in this order, not necessarily next to each other
+// - pattern: a regular expression tested against the trimmed answer, within a time budget
+//   shared by all of the question's patterns
+const RULE_VERDICTS = ['correct', 'partial'];
+
+const MAX_RULES = 20;
+const MAX_TERMS = 20;
+const MAX_TERM_LENGTH = 60;
+const MAX_PATTERN_LENGTH = 200;
+const MAX_PATTERN_INPUT_LENGTH = 1000;
+// Total time all patterns may spend on one answer, so a question full of slow patterns
+// cannot hold up the server for every player.
+const PATTERN_BUDGET_MS = 5;
+const ALLOWED_FLAGS = ['i', 'm', 's', 'u'];
+const TERM_LISTS = ['keywords', 'forbidden', 'order'];
+
+const cleanTerms = (raw) => (Array.isArray(raw) ? raw : String(raw ?? '').split(','))
+  .map((term) => String(term ?? '').trim().slice(0, MAX_TERM_LENGTH))
+  .filter(Boolean)
+  .slice(0, MAX_TERMS);
+
+const cleanFlags = (raw) => Array.from(new Set(String(raw ?? 'i').split('')))
+  .filter((flag) => ALLOWED_FLAGS.includes(flag))
+  .join('');
+
+function compilePattern(pattern, flags) {
+  try {
+    return new RegExp(pattern, flags);
+  } catch {
+    return null;
+  }
+}
+
+function sanitizeRule(raw) {
+  const verdict = String(raw?.verdict ?? 'correct').trim().toLowerCase();
+  if (!RULE_VERDICTS.includes(verdict)) return null;
+
+  const rule = { verdict };
+  TERM_LISTS.forEach((key) => {
+    const terms = cleanTerms(raw?.[key]);
+    if (terms.length) rule[key] = terms;
+  });
+
+  const pattern = String(raw?.pattern ?? '').trim();
+  if (pattern) {
+    const flags = cleanFlags(raw?.flags);
+    // A rule with a pattern that does not compile is dropped rather than silently loosened.
+    if (pattern.length > MAX_PATTERN_LENGTH || !compilePattern(pattern, flags)) return null;
+    rule.pattern = pattern;
+    rule.flags = flags;
+  }
+
+  // Forbidden words alone would accept almost anything, so a rule needs something to look for.
+  const looksFor = rule.keywords || rule.order || rule.pattern;
+  return looksFor ? rule : null;
+}
+
+// One rule per line: `correct | keywords: has been; forbidden: not; order: has, been`.
+// `regex:` takes the rest of its line, so it should come last.
+export function parseAnswerRuleLines(text) {
+  return String(text ?? '')
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const divider = line.indexOf('|');
+      if (divider === -1) return null;
+      const rule = { verdict: line.slice(0, divider).trim().toLowerCase() };
+      let rest = line.slice(divider + 1).trim();
+      while (rest) {
+        const clause = rest.match(/^(keywords|forbidden|order|regex)\s*:\s*/i);
+        if (!clause) return null;
+        const key = clause[1].toLowerCase();
+        rest = rest.slice(clause[0].length);
+        if (key === 'regex') {
+          rule.pattern = rest;
+          break;
+        }
+        const end = rest.indexOf(';');
+        rule[key] = end === -1 ? rest : rest.slice(0, end);
+        rest = end === -1 ? '' : rest.slice(end + 1).trim();
+      }
+      return rule;
+    })
+    .filter(Boolean);
+}
+
+// Accepts an array of rule objects or the one-rule-per-line text form.
+export function sanitizeAnswerRules(raw) {
+  const rules = typeof raw === 'string' ? parseAnswerRuleLines(raw) : raw;
+  return (Array.isArray(rules) ? rules : [])
+    .map(sanitizeRule)
+    .filter(Boolean)
+    .slice(0, MAX_RULES);
+}
+
+let patternContext = null;
+
+// Patterns run in a separate context so a runaway (catastrophically backtracking) expression
+// is cut off when the answer's budget runs out instead of stalling the server.
+function testPattern(rule, text, deadline) {
+  const regex = compilePattern(rule.pattern, rule.flags ?? 'i');
+  if (!regex) return { matched: false, error: 'invalid' };
+  const remainingMs = Math.ceil(deadline - performance.now());
+  if (remainingMs <= 0) return { matched: false, error: 'timeout' };
+  if (!patternContext) patternContext = vm.createContext({});
+  patternContext.regex = regex;
+  patternContext.text = text.slice(0, MAX_PATTERN_INPUT_LENGTH);
+  try {
+    return { matched: vm.runInContext('regex.test(text)', patternContext, { timeout: remainingMs }) === true };
+  } catch {
+    return { matched: false, error: 'timeout' };
+  } finally {
+    patternContext.regex = null;
+    patternContext.text = null;
+  }
+}
+
+function indexOfPhrase(tokens, phrase, from = 0) {
+  if (!phrase.length) return -1;
+  for (let i = from; i + phrase.length <= tokens.length; i += 1) {
+    if (phrase.every((token, offset) => tokens[i + offset] === token)) return i;
+  }
+  return -1;
+}
+
+// Returns the first failed condition for the rule, or '' when the rule matches.
+function checkRule(rule, submission, tokens, normalize, deadline) {
+  const toTokens = (term) => normalize(term).split(' ').filter(Boolean);
+
+  if (rule.keywords && !rule.keywords.every((term) => indexOfPhrase(tokens, toTokens(term)) !== -1)) {
+    return 'keywords';
+  }
+  if (rule.forbidden && rule.forbidden.some((term) => indexOfPhrase(tokens, toTokens(term)) !== -1)) {
+    return 'forbidden';
+  }
+  if (rule.order) {
+    let position = 0;
+    const inOrder = rule.order.every((term) => {
+      const phrase = toTokens(term);
+      const found = indexOfPhrase(tokens, phrase, position);
+      if (found === -1) return false;
+      position = found + phrase.length;
+      return true;
+    });
+    if (!inOrder) return 'order';
+  }
+  if (rule.pattern) {
+    const { matched, error } = testPattern(rule, submission, deadline);
+    if (!matched) return error === 'timeout' ? 'pattern timed out' : 'pattern';
+  }
+  return '';
+}
+
+// Checks every rule against the answer. A matching `correct` rule beats a matching `partial` one;
+// `trace` records the outcome of each rule for the evaluation log.
+export function matchAnswerRules(rules = [], submission, { normalize = (text) => text } = {}) {
+  const text = String(submission ?? '').trim().replace(/\s+/g, ' ');
+  const tokens = normalize(text).split(' ').filter(Boolean);
+  const trace = [];
+  if (!tokens.length) return { verdict: '', trace };
+
+  const deadline = performance.now() + PATTERN_BUDGET_MS;
+  rules.forEach((rule, index) => {
+    const failed = checkRule(rule, text, tokens, normalize, deadline);
+    const entry = { rule: index + 1, verdict: rule.verdict };
+    trace.push(failed ? { ...entry, failed } : { ...entry, matched: true });
+  });
+  const matched = trace.filter((entry) => entry.matched);
+  const verdict = matched.some((entry) => entry.verdict === 'correct')
+    ? 'correct'
+    : matched.length ? 'partial' : '';
+  return { verdict, trace };
+}
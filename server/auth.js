@@ -0,0 +1,269 @@
+import { promises as fs } from 'fs';
+import crypto from 'crypto';
+import { nanoid } from 'nanoid';
+import { USERS_FILE, ensureDataDir } from './storage.js';
+
+export const AUTH_COOKIE = 'quiz_auth';
+const TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+const SCRYPT_KEY_LENGTH = 64;
+
+const users = new Map();
+// Keyed by a SHA-256 of the token so a leaked users.json can't be replayed as cookies.
+const authTokens = new Map();
+
+function normalizeUsername(value) {
+  return String(value ?? '').trim().toLowerCase();
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function scrypt(password, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (error, derivedKey) => {
+      if (error) reject(error);
+      else resolve(derivedKey);
+    });
+  });
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const derived = await scrypt(password, salt);
+  return `scrypt$${salt}$${derived.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, expectedHex] = String(stored ?? '').split('$');
+  if (scheme !== 'scrypt' || !salt || !expectedHex) return false;
+  const expected = Buffer.from(expectedHex, 'hex');
+  const derived = await scrypt(password, salt);
+  return expected.length === derived.length && crypto.timingSafeEqual(expected, derived);
+}
+
+function pruneExpiredTokens(now = Date.now()) {
+  for (const [key, entry] of authTokens) {
+    if (!entry || entry.expiresAt <= now || !users.has(entry.userId)) {
+      authTokens.delete(key);
+    }
+  }
+}
+
+async function persistUsers() {
+  pruneExpiredTokens();
+  await ensureDataDir();
+  const payload = {
+    users: Array.from(users.values()),
+    tokens: Array.from(authTokens.entries()).map(([key, entry]) => ({ key, ...entry })),
+  };
+  await fs.writeFile(USERS_FILE, JSON.stringify(payload, null, 2), 'utf8');
+}
+
+export async function loadUsers() {
+  users.clear();
+  authTokens.clear();
+  try {
+    const file = await fs.readFile(USERS_FILE, 'utf8');
+    const parsed = JSON.parse(file);
+    (parsed?.users || []).forEach((user) => {
+      if (!user?.id || !user?.username || !user?.passwordHash) return;
+      users.set(user.id, {
+        id: user.id,
+        username: normalizeUsername(user.username),
+        displayName: String(user.displayName ?? '').trim() || user.username,
+        role: user.role === 'admin' ? 'admin' : 'teacher',
+        passwordHash: user.passwordHash,
+        createdAt: user.createdAt || Date.now(),
+      });
+    });
+    (parsed?.tokens || []).forEach((entry) => {
+      if (!entry?.key || !entry?.userId) return;
+      authTokens.set(entry.key, {
+        userId: entry.userId,
+        createdAt: entry.createdAt || Date.now(),
+        expiresAt: Number(entry.expiresAt) || 0,
+      });
+    });
+    pruneExpiredTokens();
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      /* eslint-disable no-console */
+      console.error('Failed to load users from disk', error);
+    }
+  }
+}
+
+export function hasUsers() {
+  return users.size > 0;
+}
+
+export function isSignupEnabled() {
+  const raw = String(process.env.ALLOW_SIGNUP ?? '').trim().toLowerCase();
+  return ['true', '1', 'yes', 'on'].includes(raw);
+}
+
+export function publicUser(user) {
+  if (!user) return null;
+  return {
+    id: user.id,
+    username: user.username,
+    displayName: user.displayName,
+    role: user.role,
+  };
+}
+
+export function getUser(userId) {
+  return users.get(userId) || null;
+}
+
+function findUserByUsername(username) {
+  const normalized = normalizeUsername(username);
+  for (const user of users.values()) {
+    if (user.username === normalized) return user;
+  }
+  return null;
+}
+
+// `setupOnly` marks a registration that is only allowed while the server has no accounts yet.
+export async function createUser({ username, password, displayName = '', role = 'teacher', setupOnly = false } = {}) {
+  const normalized = normalizeUsername(username);
+  if (!/^[a-z0-9._-]{3,32}$/.test(normalized)) {
+    const error = new Error('Usernames need 3-32 letters, numbers, dots, dashes or underscores.');
+    error.code = 'INVALID_USERNAME';
+    throw error;
+  }
+  if (String(password ?? '').length < MIN_PASSWORD_LENGTH) {
+    const error = new Error(`Passwords need at least ${MIN_PASSWORD_LENGTH} characters.`);
+    error.code = 'WEAK_PASSWORD';
+    throw error;
+  }
+  const passwordHash = await hashPassword(String(password));
+
+  // Everything from here to the insert runs without awaiting, so registrations that arrive
+  // together can't all pass the checks or all become the first admin.
+  if (setupOnly && users.size) {
+    const error = new Error('Ask an admin to create your account.');
+    error.code = 'SETUP_DONE';
+    throw error;
+  }
+  if (findUserByUsername(normalized)) {
+    const error = new Error('That username is already taken.');
+    error.code = 'USERNAME_TAKEN';
+    throw error;
+  }
+
+  const user = {
+    id: nanoid(12),
+    username: normalized,
+    displayName: String(displayName ?? '').trim() || normalized,
+    // The very first account bootstraps the server, so it is always an admin.
+    role: !users.size || role === 'admin' ? 'admin' : 'teacher',
+    passwordHash,
+    createdAt: Date.now(),
+  };
+  users.set(user.id, user);
+  await persistUsers();
+  return user;
+}
+
+export async function verifyCredentials(username, password) {
+  const user = findUserByUsername(username);
+  if (!user) {
+    // Spend the same hashing time for unknown users to avoid a username oracle.
+    await hashPassword(String(password ?? ''));
+    return null;
+  }
+  const ok = await verifyPassword(String(password ?? ''), user.passwordHash);
+  return ok ? user : null;
+}
+
+export async function issueAuthToken(userId) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const now = Date.now();
+  authTokens.set(hashToken(token), { userId, createdAt: now, expiresAt: now + TOKEN_TTL_MS });
+  await persistUsers();
+  return { token, maxAgeMs: TOKEN_TTL_MS };
+}
+
+export async function revokeAuthToken(token) {
+  if (!token) return;
+  if (authTokens.delete(hashToken(token))) {
+    await persistUsers();
+  }
+}
+
+export function resolveUserFromToken(token) {
+  if (!token) return null;
+  const entry = authTokens.get(hashToken(token));
+  if (!entry) return null;
+  if (entry.expiresAt <= Date.now()) {
+    authTokens.delete(hashToken(token));
+    return null;
+  }
+  return users.get(entry.userId) || null;
+}
+
+function parseCookies(header = '') {
+  const cookies = {};
+  String(header || '').split(';').forEach((part) => {
+    const index = part.indexOf('=');
+    if (index === -1) return;
+    const key = part.slice(0, index).trim();
+    if (!key) return;
+    try {
+      cookies[key] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch (_error) {
+      cookies[key] = part.slice(index + 1).trim();
+    }
+  });
+  return cookies;
+}
+
+// Accepts either the browser cookie or an `Authorization: Bearer <token>` header
+// so scripts can call the API without a cookie jar.
+export function readAuthToken(headers = {}) {
+  const authorization = String(headers.authorization ?? '');
+  if (authorization.toLowerCase().startsWith('bearer ')) {
+    return authorization.slice(7).trim() || null;
+  }
+  return parseCookies(headers.cookie)[AUTH_COOKIE] || null;
+}
+
+export function isAdmin(user) {
+  return user?.role === 'admin';
+}
+
+// Templates created before accounts existed have no owner; only admins may touch them.
+export function canManageQuiz(user, template) {
+  if (!user || !template) return false;
+  if (isAdmin(user)) return true;
+  return Boolean(template.ownerId) && template.ownerId === user.id;
+}
+
+export function attachUser(req, _res, next) {
+  req.authToken = readAuthToken(req.headers);
+  req.user = resolveUserFromToken(req.authToken);
+  next();
+}
+
+export function requireUser(req, res, next) {
+  if (!req.user) {
+    res.status(401).json({ error: 'Sign in to continue.' });
+    return;
+  }
+  next();
+}
+
+export function requireAdmin(req, res, next) {
+  if (!req.user) {
+    res.status(401).json({ error: 'Sign in to continue.' });
+    return;
+  }
+  if (!isAdmin(req.user)) {
+    res.status(403).json({ error: 'Only admins can do that.' });
+    return;
+  }
+  next();
+}
@@ -0,0 +1,213 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import JSZip from 'jszip';
+import {
+  BACKUPS_DIR,
+  DIAGNOSTICS_AUDIT_FILE,
+  MEDIA_DIR,
+  SETTINGS_FILE,
+  USERS_FILE,
+  validateDatabaseBytes,
+} from './storage.js';
+
+const BACKUP_FORMAT = 'kahoot-clone-backup';
+const BACKUP_VERSION = 1;
+const DATABASE_ENTRY = 'quiz.sqlite';
+const MEDIA_NAME_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9._-]{0,200}$/;
+const SNAPSHOT_NAME_PATTERN = /^snapshot-[0-9TZ-]+-[a-z-]+\.zip$/;
+
+// Plain files copied verbatim. A backup without an optional one leaves the live file alone;
+// accounts are required, since restoring none would put the server back into setup mode.
+const DATA_FILES = [
+  { entry: 'settings.json', filePath: SETTINGS_FILE, json: true },
+  { entry: 'users.json', filePath: USERS_FILE, json: true, required: true },
+  { entry: 'diagnostics-audit.jsonl', filePath: DIAGNOSTICS_AUDIT_FILE, json: false },
+];
+
+function backupError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_BACKUP';
+  return error;
+}
+
+async function readOptionalFile(filePath) {
+  try {
+    return await fs.readFile(filePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+function mediaNameFromSrc(src) {
+  if (typeof src !== 'string' || !src.startsWith('/media/')) return null;
+  const name = src.slice('/media/'.length);
+  return MEDIA_NAME_PATTERN.test(name) ? name : null;
+}
+
+export function getSnapshotSchedule() {
+  const hours = Number.parseFloat(process.env.BACKUP_SNAPSHOT_INTERVAL_HOURS);
+  const retain = Number.parseInt(process.env.BACKUP_SNAPSHOT_RETAIN, 10);
+  return {
+    intervalMs: (Number.isFinite(hours) && hours >= 0 ? hours : 24) * 60 * 60 * 1000,
+    retain: Number.isFinite(retain) && retain > 0 ? retain : 7,
+  };
+}
+
+// `mediaSrcs` are the /media/... URLs still referenced anywhere, including old quiz revisions.
+export async function buildBackupArchive({ database, mediaSrcs = [], reason = 'manual' }) {
+  const zip = new JSZip();
+  zip.file(DATABASE_ENTRY, database);
+
+  const files = [];
+  for (const { entry, filePath } of DATA_FILES) {
+    const contents = await readOptionalFile(filePath);
+    if (contents) {
+      zip.file(entry, contents);
+      files.push(entry);
+    }
+  }
+
+  const media = [];
+  const missingMedia = [];
+  const names = new Set(Array.from(mediaSrcs, mediaNameFromSrc).filter(Boolean));
+  for (const name of names) {
+    const contents = await readOptionalFile(path.join(MEDIA_DIR, name));
+    if (contents) {
+      zip.file(`media/${name}`, contents);
+      media.push(name);
+    } else {
+      missingMedia.push(name);
+    }
+  }
+
+  zip.file('manifest.json', JSON.stringify({
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    reason,
+    files,
+    media,
+    missingMedia,
+  }, null, 2));
+  return zip;
+}
+
+// Checks the whole archive before anything on disk is touched.
+export async function readBackupArchive(buffer) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (_error) {
+    throw backupError('The upload is not a valid backup archive.');
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(await zip.file('manifest.json')?.async('string'));
+  } catch (_error) {
+    manifest = null;
+  }
+  if (manifest?.format !== BACKUP_FORMAT) {
+    throw backupError('The archive has no backup manifest.');
+  }
+  if (manifest.version !== BACKUP_VERSION) {
+    throw backupError(`Backup version ${manifest.version} is not supported by this server.`);
+  }
+
+  const databaseEntry = zip.file(DATABASE_ENTRY);
+  if (!databaseEntry) {
+    throw backupError('The archive does not contain a quiz database.');
+  }
+  const database = await databaseEntry.async('uint8array');
+  try {
+    await validateDatabaseBytes(database);
+  } catch (error) {
+    throw backupError(error.message);
+  }
+
+  const files = new Map();
+  for (const { entry, json, required } of DATA_FILES) {
+    const file = zip.file(entry);
+    if (!file) {
+      if (required) throw backupError(`The archive has no ${entry}.`);
+      continue;
+    }
+    const contents = await file.async('nodebuffer');
+    let parsed = null;
+    if (json) {
+      try {
+        parsed = JSON.parse(contents.toString('utf8'));
+      } catch (_error) {
+        throw backupError(`${entry} in the archive is not valid JSON.`);
+      }
+    }
+    if (required && !parsed?.users?.length) {
+      throw backupError(`${entry} in the archive has no accounts.`);
+    }
+    files.set(entry, contents);
+  }
+
+  const media = [];
+  for (const entry of Object.values(zip.files)) {
+    if (entry.dir || !entry.name.startsWith('media/')) continue;
+    const name = entry.name.slice('media/'.length);
+    if (!MEDIA_NAME_PATTERN.test(name)) {
+      throw backupError(`Refusing to restore unexpected media path "${entry.name}".`);
+    }
+    media.push({ name, contents: await entry.async('nodebuffer') });
+  }
+
+  return { manifest, database, files, media };
+}
+
+// Writes everything except the database, which the store swaps in itself.
+export async function applyBackupFiles({ files, media }) {
+  for (const { entry, filePath } of DATA_FILES) {
+    if (files.has(entry)) await fs.writeFile(filePath, files.get(entry));
+  }
+  await fs.mkdir(MEDIA_DIR, { recursive: true });
+  for (const { name, contents } of media) {
+    await fs.writeFile(path.join(MEDIA_DIR, name), contents);
+  }
+}
+
+export async function writeSnapshot(zip, reason) {
+  await fs.mkdir(BACKUPS_DIR, { recursive: true });
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const name = `snapshot-${stamp}-${reason}.zip`;
+  const filePath = path.join(BACKUPS_DIR, name);
+  const contents = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+  await fs.writeFile(`${filePath}.tmp`, contents);
+  await fs.rename(`${filePath}.tmp`, filePath);
+  return { name, size: contents.length, createdAt: Date.now() };
+}
+
+export async function listSnapshots() {
+  let names;
+  try {
+    names = await fs.readdir(BACKUPS_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  const snapshots = [];
+  for (const name of names.filter((entry) => SNAPSHOT_NAME_PATTERN.test(entry))) {
+    const stats = await fs.stat(path.join(BACKUPS_DIR, name));
+    snapshots.push({ name, size: stats.size, createdAt: stats.mtimeMs });
+  }
+  return snapshots.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+// Keeps the newest `retain` snapshots and deletes the rest.
+export async function pruneSnapshots(retain) {
+  const snapshots = await listSnapshots();
+  const expired = snapshots.slice(retain);
+  await Promise.all(expired.map(({ name }) => fs.rm(path.join(BACKUPS_DIR, name), { force: true })));
+  return expired.map(({ name }) => name);
+}
+
+export function resolveSnapshotPath(name) {
+  const fileName = String(name ?? '');
+  return SNAPSHOT_NAME_PATTERN.test(fileName) ? path.join(BACKUPS_DIR, fileName) : null;
+}
@@ -0,0 +1,46 @@
+// Cloze prompts are stored with numbered placeholders, e.g. "The {{1}} is the powerhouse of the {{2}}.",
+// and a `blanks` array holding the accepted answers for each placeholder in order.
+const PLACEHOLDER_PATTERN = /\{\{(\d+)\}\}/g;
+// Anki deletions, {{c1::answer}} or {{c1::answer::hint}}, and the editor shorthand,
+// [[answer]] or [[answer || alternate]], matched in one pass so mixed markup keeps reading order.
+const DELETION_PATTERN = /\{\{c\d+::(.*?)(?:::(.*?))?\}\}|\[\[(.*?)\]\]/g;
+
+export function hasClozeMarkup(text) {
+  const value = String(text ?? '');
+  return /\{\{c\d+::.*?\}\}/.test(value) || /\[\[.*?\]\]/.test(value);
+}
+
+// Replaces every deletion with a placeholder and returns one blank per deletion, in reading order.
+export function parseClozeMarkup(text) {
+  const blanks = [];
+  const addBlank = (raw, hint = '') => {
+    const [answer = '', ...alternateAnswers] = String(raw ?? '')
+      .split('||')
+      .map((part) => part.trim())
+      .filter(Boolean);
+    blanks.push({
+      answer,
+      alternateAnswers,
+      partialAnswers: [],
+      ...(hint?.trim() ? { hint: hint.trim() } : {}),
+    });
+    return `{{${blanks.length}}}`;
+  };
+  const prompt = String(text ?? '').replace(
+    DELETION_PATTERN,
+    (_match, ankiAnswer, hint, bracketAnswer) => addBlank(ankiAnswer ?? bracketAnswer, hint),
+  );
+  return { prompt, blanks };
+}
+
+// True when the placeholders are exactly {{1}}..{{blankCount}}, each used once.
+export function placeholdersMatchBlanks(prompt, blankCount) {
+  const numbers = Array.from(String(prompt ?? '').matchAll(PLACEHOLDER_PATTERN), (match) => Number(match[1]));
+  if (numbers.length !== blankCount) return false;
+  return numbers.slice().sort((a, b) => a - b).every((number, index) => number === index + 1);
+}
+
+// Prompt text for places that show the question without inputs.
+export function formatClozePrompt(prompt) {
+  return String(prompt ?? '').replace(PLACEHOLDER_PATTERN, '_____');
+}
@@ -0,0 +1,116 @@
+import { promises as fs } from 'fs';
+import { DIAGNOSTICS_AUDIT_FILE, ensureDataDir } from './storage.js';
+import { getDiagnosticsEnabled } from './settings.js';
+
+const QUOTA_WINDOW_MS = 60 * 60 * 1000;
+const MAX_AUDIT_TEXT = 2000;
+
+// userId -> timestamps of diagnostics requests inside the rolling quota window.
+const usage = new Map();
+
+export function getDiagnosticsQuotaLimit() {
+  const parsed = Number.parseInt(process.env.DIAGNOSTICS_HOURLY_QUOTA, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : 30;
+}
+
+function recentUsage(userId, now = Date.now()) {
+  const entries = (usage.get(userId) || []).filter((timestamp) => now - timestamp < QUOTA_WINDOW_MS);
+  usage.set(userId, entries);
+  return entries;
+}
+
+export function getDiagnosticsQuota(userId) {
+  const limit = getDiagnosticsQuotaLimit();
+  const entries = recentUsage(userId);
+  return {
+    limit,
+    remaining: Math.max(0, limit - entries.length),
+    resetsAt: entries.length ? entries[0] + QUOTA_WINDOW_MS : null,
+  };
+}
+
+function consumeDiagnosticsQuota(userId) {
+  const now = Date.now();
+  const entries = recentUsage(userId, now);
+  if (entries.length >= getDiagnosticsQuotaLimit()) {
+    return { allowed: false, retryAfterMs: entries[0] + QUOTA_WINDOW_MS - now };
+  }
+  entries.push(now);
+  return { allowed: true };
+}
+
+function truncate(value) {
+  const text = String(value ?? '');
+  return text.length > MAX_AUDIT_TEXT ? `${text.slice(0, MAX_AUDIT_TEXT)}…` : text;
+}
+
+// Appends one JSON line per request. Audit failures are logged but never block the request.
+export async function recordDiagnosticsAudit({ user, endpoint, request = {}, outcome, detail = null }) {
+  const entry = {
+    at: Date.now(),
+    userId: user?.id || null,
+    username: user?.username || null,
+    endpoint,
+    outcome,
+    request: Object.fromEntries(Object.entries(request).map(([key, value]) => [
+      key,
+      Array.isArray(value) ? value.map(truncate) : truncate(value),
+    ])),
+    ...(detail ? { detail } : {}),
+  };
+  try {
+    await ensureDataDir();
+    await fs.appendFile(DIAGNOSTICS_AUDIT_FILE, `${JSON.stringify(entry)}\n`, 'utf8');
+  } catch (error) {
+    /* eslint-disable no-console */
+    console.error('Failed to write diagnostics audit entry', error);
+  }
+}
+
+export async function readDiagnosticsAudit(limit = 100) {
+  try {
+    const file = await fs.readFile(DIAGNOSTICS_AUDIT_FILE, 'utf8');
+    return file
+      .split('\n')
+      .filter(Boolean)
+      .slice(-limit)
+      .map((line) => {
+        try {
+          return JSON.parse(line);
+        } catch (_error) {
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .reverse();
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      /* eslint-disable no-console */
+      console.error('Failed to read diagnostics audit log', error);
+    }
+    return [];
+  }
+}
+
+// Mount after requireAdmin: refuses when diagnostics are switched off, then charges the caller's quota.
+export function requireDiagnosticsAccess(endpoint) {
+  return (req, res, next) => {
+    if (!getDiagnosticsEnabled()) {
+      res.status(403).json({ error: 'Diagnostics are disabled on this server.' });
+      return;
+    }
+
+    const quota = consumeDiagnosticsQuota(req.user.id);
+    if (!quota.allowed) {
+      const retryAfterSeconds = Math.max(1, Math.ceil(quota.retryAfterMs / 1000));
+      recordDiagnosticsAudit({ user: req.user, endpoint, request: req.body || {}, outcome: 'quota-exceeded' });
+      res.set('Retry-After', String(retryAfterSeconds));
+      res.status(429).json({
+        error: `Diagnostics quota reached. Try again in ${Math.ceil(retryAfterSeconds / 60)} minute(s).`,
+        quota: getDiagnosticsQuota(req.user.id),
+      });
+      return;
+    }
+    next();
+  };
+}
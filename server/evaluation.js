@@ -3,6 +3,12 @@ import {
   isLlmJudgeConfigured,
   judgeAnswerWithLlm,
 } from './llmJudge.js';
+import { matchAnswerRules } from './answerRules.js';
+import { formatClozePrompt } from './cloze.js';
+import { formatHotspotPoint, hitTestRegions, parseHotspotPoint } from './hotspot.js';
+import { gradeNumericAnswer } from './numeric.js';
+import { isUnscoredQuestion, matchPollOption, normalizeWordCloudEntry } from './polls.js';
+import { calculateSpeedBonus, sanitizeScoringProfile, scoreCredit } from './scoring.js';
 import { getRuleMatchingConfig } from './settings.js';
 
 const synonymCache = new Map();
@@ -126,14 +132,149 @@ async function collectSynonyms(answers = []) {
   return Array.from(new Set(entries.flat().filter(Boolean)));
 }
 
-function calculateSpeedBonus(durationMs, timeRemainingMs, includeSpeedBonus) {
-  if (!includeSpeedBonus) return 0;
-  const validDuration = Number.isFinite(durationMs) && durationMs > 0;
-  const validRemaining = Number.isFinite(timeRemainingMs) && timeRemainingMs >= 0;
-  if (!validDuration || !validRemaining) return 0;
+const TRUE_VALUES = new Set(['true', 't', 'yes', 'y', '1', 'right', 'correct']);
+const FALSE_VALUES = new Set(['false', 'f', 'no', 'n', '0', 'wrong', 'incorrect']);
 
-  const safeRemaining = Math.max(0, timeRemainingMs);
-  return Math.round((safeRemaining / durationMs) * 500);
+// Maps the spellings people type or import for true/false answers onto 'True' / 'False'.
+export function normalizeTrueFalse(value) {
+  if (typeof value === 'boolean') return value ? 'True' : 'False';
+  const raw = normaliseAnswer(value ?? '');
+  if (TRUE_VALUES.has(raw)) return 'True';
+  if (FALSE_VALUES.has(raw)) return 'False';
+  return null;
+}
+
+// Multi-select answers arrive as an array of picked options; a lone string counts as one pick.
+export function parseSelection(submission) {
+  const picks = Array.isArray(submission) ? submission : [submission];
+  const seen = new Set();
+  const cleaned = [];
+  picks.forEach((pick) => {
+    const trimmed = String(pick ?? '').trim();
+    const normalized = normaliseAnswer(trimmed);
+    if (!normalized || seen.has(normalized)) return;
+    seen.add(normalized);
+    cleaned.push(trimmed);
+  });
+  return cleaned;
+}
+
+// Each correct pick earns an equal share of the credit and each wrong pick takes one share back,
+// so selecting every option never beats selecting only the right ones.
+export function scoreSelection(correctOptions = [], picks = []) {
+  const correct = new Set(correctOptions.map(normaliseAnswer).filter(Boolean));
+  let right = 0;
+  let wrong = 0;
+  picks.forEach((pick) => {
+    if (correct.has(normaliseAnswer(pick))) right += 1;
+    else wrong += 1;
+  });
+  const credit = correct.size ? Math.max(0, (right - wrong) / correct.size) : 0;
+  return { right, wrong, credit };
+}
+
+// Credit follows the longest run of items the player kept in the right relative order, so one
+// misplaced item costs one step rather than shifting every later position. A reversed list earns nothing.
+export function scoreOrdering(items = [], submission = []) {
+  const positions = new Map(items.map((item, index) => [normaliseAnswer(item), index]));
+  const order = parseSelection(submission)
+    .map((item) => positions.get(normaliseAnswer(item)))
+    .filter((index) => index !== undefined);
+  const tails = [];
+  order.forEach((index) => {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (tails[mid] < index) low = mid + 1;
+      else high = mid;
+    }
+    tails[low] = index;
+  });
+  const inOrder = tails.length;
+  const inPlace = order.filter((index, position) => index === position).length;
+  const credit = items.length > 1 ? Math.max(0, (inOrder - 1) / (items.length - 1)) : 0;
+  return { inOrder, inPlace, credit };
+}
+
+// Matching answers are the right-hand picks in the same order as the question's pairs.
+export function scoreMatching(pairs = [], submission = []) {
+  const picks = Array.isArray(submission) ? submission : [];
+  const matched = pairs.filter((pair, index) => (
+    normaliseAnswer(pair.right) && normaliseAnswer(picks[index]) === normaliseAnswer(pair.right)
+  )).length;
+  return { matched, credit: pairs.length ? matched / pairs.length : 0 };
+}
+
+// Long dictations are cut off here so the alignment table stays small.
+const MAX_DICTATION_WORDS = 200;
+
+function tokenizeDictation(text) {
+  return String(text ?? '')
+    .split(/\s+/)
+    .map((word) => ({ word, key: normaliseAnswer(word).replace(/\s+/g, '') }))
+    .filter((token) => token.key)
+    .slice(0, MAX_DICTATION_WORDS);
+}
+
+// Aligns the submitted words against the expected sentence (an edit distance over words) and
+// labels each one correct, misspelled, missing or extra. Misspellings follow the configured
+// close-match rules and earn half a word. Extra words count against the total, so padding an
+// answer with guesses never raises the credit.
+export function alignDictation(expected, submitted, config = {}) {
+  const target = tokenizeDictation(expected);
+  const typed = tokenizeDictation(submitted);
+  const closeConfig = { ...config, allowSubstrings: false };
+  const pairCost = (left, right) => {
+    if (left.key === right.key) return 0;
+    if (config.allowCloseMatch !== false && isCloseMatch(right.key, left.key, closeConfig)) return 0.5;
+    return Infinity;
+  };
+
+  const costs = Array.from({ length: target.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= typed.length; j += 1) costs[0][j] = j;
+  for (let i = 1; i <= target.length; i += 1) {
+    for (let j = 1; j <= typed.length; j += 1) {
+      costs[i][j] = Math.min(
+        costs[i - 1][j - 1] + pairCost(target[i - 1], typed[j - 1]),
+        costs[i - 1][j] + 1,
+        costs[i][j - 1] + 1,
+      );
+    }
+  }
+
+  const words = [];
+  let i = target.length;
+  let j = typed.length;
+  while (i > 0 || j > 0) {
+    const pair = i > 0 && j > 0 ? pairCost(target[i - 1], typed[j - 1]) : Infinity;
+    if (pair !== Infinity && costs[i][j] === costs[i - 1][j - 1] + pair) {
+      words.unshift({
+        status: pair === 0 ? 'correct' : 'misspelled',
+        expected: target[i - 1].word,
+        submitted: typed[j - 1].word,
+      });
+      i -= 1;
+      j -= 1;
+    } else if (i > 0 && costs[i][j] === costs[i - 1][j] + 1) {
+      words.unshift({ status: 'missing', expected: target[i - 1].word });
+      i -= 1;
+    } else {
+      words.unshift({ status: 'extra', submitted: typed[j - 1].word });
+      j -= 1;
+    }
+  }
+
+  const count = (status) => words.filter((entry) => entry.status === status).length;
+  const extra = count('extra');
+  const credit = target.length ? (count('correct') + count('misspelled') * 0.5) / (target.length + extra) : 0;
+  return { words, credit };
+}
+
+function hasSubmission(submission) {
+  if (Array.isArray(submission)) return submission.some((entry) => String(entry ?? '').trim());
+  if (submission && typeof submission === 'object') return true;
+  return Boolean(String(submission ?? '').trim());
 }
 
 export async function evaluateAnswer(question, submission, options = {}) {
@@ -144,20 +285,208 @@ export async function evaluateAnswer(question, submission, options = {}) {
     debug = false,
     context = '',
     gradingCondition = '',
+    scoring = null,
   } = options;
 
   const questionType = String(question?.type ?? '').toLowerCase();
-  if (questionType === 'multiple') {
-    const normalizedSubmitted = normaliseAnswer(submission ?? '');
-    const normalizedCorrect = normaliseAnswer(question?.answer ?? '');
+  // Every branch grades to a credit between 0 and 1; the quiz's scoring profile prices it.
+  const profile = sanitizeScoringProfile(scoring ?? {});
+  const speedBonus = includeSpeedBonus ? calculateSpeedBonus(profile, durationMs, timeRemainingMs) : 0;
+  const pointsFor = (credit) => scoreCredit(profile, {
+    credit,
+    speedBonus,
+    weight: Number.isFinite(question?.weight) ? question.weight : 1,
+    answered: hasSubmission(submission),
+  });
+  if (isUnscoredQuestion(question)) {
+    // `response` is what gets tallied: the matched poll option or the trimmed word-cloud entry.
+    const response = questionType === 'poll'
+      ? matchPollOption(question.options, submission)
+      : normalizeWordCloudEntry(submission);
+    return {
+      isCorrect: false,
+      isPartial: false,
+      earned: 0,
+      unscored: true,
+      response,
+      correctAnswer: '',
+      playerAnswer: response,
+      judgedBy: 'unscored',
+    };
+  }
+
+  if (questionType === 'dictation') {
+    const config = getRuleMatchingConfig();
+    const expectedSentences = [question?.answer, ...(question?.alternateAnswers || [])].filter(Boolean);
+    const alignments = expectedSentences.map((sentence) => alignDictation(sentence, submission, config));
+    // Seeded with a real alignment so a wholly wrong answer still gets its word diff.
+    const alignment = alignments
+      .slice(1)
+      .reduce((best, entry) => (entry.credit > best.credit ? entry : best), alignments[0] || { words: [], credit: 0 });
+    const { credit } = alignment;
+    const result = {
+      isCorrect: credit === 1,
+      isPartial: credit > 0 && credit < 1,
+      earned: pointsFor(credit),
+      credit,
+      wordDiff: alignment.words,
+      correctAnswer: question?.answer ?? '',
+      playerAnswer: String(submission ?? ''),
+      judgedBy: 'dictation',
+    };
+    if (debug) {
+      result.evaluationLog = [{ message: 'Dictation alignment', details: alignment }];
+    }
+    return result;
+  }
+
+  if (questionType === 'hotspot') {
+    const point = parseHotspotPoint(submission);
+    const regionIndex = hitTestRegions(question?.regions, point, { aspectRatio: question?.aspectRatio });
+    const isCorrect = regionIndex !== -1;
+    const result = {
+      isCorrect,
+      isPartial: false,
+      earned: pointsFor(isCorrect ? 1 : 0),
+      point,
+      correctAnswer: question?.answer ?? '',
+      playerAnswer: formatHotspotPoint(point),
+      judgedBy: 'hotspot',
+    };
+    if (debug) {
+      result.evaluationLog = [{ message: 'Hotspot hit test', details: { point, regionIndex } }];
+    }
+    return result;
+  }
+
+  if (questionType === 'numeric') {
+    const verdict = gradeNumericAnswer(question, submission);
+    const result = {
+      isCorrect: verdict.isCorrect,
+      isPartial: false,
+      earned: pointsFor(verdict.isCorrect ? 1 : 0),
+      correctAnswer: question?.answer ?? '',
+      playerAnswer: submission ?? '',
+      judgedBy: 'numeric',
+    };
+    if (debug) {
+      result.evaluationLog = [{ message: 'Numeric comparison', details: verdict }];
+    }
+    return result;
+  }
+
+  if (questionType === 'cloze') {
+    const blanks = Array.isArray(question?.blanks) ? question.blanks : [];
+    const picks = Array.isArray(submission) ? submission : [submission];
+    const prompt = formatClozePrompt(question?.prompt);
+    const blankResults = [];
+    const evaluationLog = [];
+    // Each blank runs through the open-answer pipeline below, so rules and the LLM judge apply per blank.
+    for (const [index, blank] of blanks.entries()) {
+      const verdict = await evaluateAnswer({ ...blank, type: 'open', prompt }, picks[index] ?? '', {
+        includeSpeedBonus: false,
+        debug,
+        context,
+        gradingCondition,
+      });
+      blankResults.push({
+        isCorrect: Boolean(verdict.isCorrect),
+        isPartial: Boolean(verdict.isPartial),
+        judgedBy: verdict.judgedBy,
+      });
+      if (debug) {
+        evaluationLog.push({ message: `Blank ${index + 1}`, details: verdict.evaluationLog });
+      }
+    }
+    const points = blankResults.reduce(
+      (sum, entry) => sum + (entry.isCorrect ? 1 : entry.isPartial ? profile.partialCredit : 0),
+      0,
+    );
+    const credit = blanks.length ? points / blanks.length : 0;
+    const result = {
+      isCorrect: credit === 1,
+      isPartial: credit > 0 && credit < 1,
+      earned: pointsFor(credit),
+      credit,
+      blankResults,
+      correctAnswer: question?.answer ?? '',
+      playerAnswer: blanks.map((_blank, index) => String(picks[index] ?? '').trim() || '?').join(' | '),
+      judgedBy: 'cloze',
+    };
+    if (debug) {
+      result.evaluationLog = evaluationLog;
+    }
+    return result;
+  }
+
+  if (questionType === 'matching') {
+    const pairs = Array.isArray(question?.pairs) ? question.pairs : [];
+    const { matched, credit } = scoreMatching(pairs, submission);
+    const picks = Array.isArray(submission) ? submission : [];
+    const result = {
+      isCorrect: credit === 1,
+      isPartial: credit > 0 && credit < 1,
+      earned: pointsFor(credit),
+      credit,
+      correctAnswer: question?.answer ?? '',
+      playerAnswer: pairs
+        .map((pair, index) => `${pair.left} → ${String(picks[index] ?? '').trim() || '?'}`)
+        .join('; '),
+      judgedBy: 'matching',
+    };
+    if (debug) {
+      result.evaluationLog = [{ message: 'Matching score', details: { matched, total: pairs.length, credit } }];
+    }
+    return result;
+  }
+
+  if (questionType === 'ordering') {
+    const items = Array.isArray(question?.items) ? question.items : [];
+    const { inOrder, inPlace, credit } = scoreOrdering(items, submission);
+    const result = {
+      isCorrect: credit === 1,
+      isPartial: credit > 0 && credit < 1,
+      earned: pointsFor(credit),
+      credit,
+      correctAnswer: question?.answer ?? '',
+      playerAnswer: parseSelection(submission).join(' → '),
+      judgedBy: 'ordering',
+    };
+    if (debug) {
+      result.evaluationLog = [{ message: 'Ordering score', details: { inOrder, inPlace, credit } }];
+    }
+    return result;
+  }
+
+  if (questionType === 'multi-select') {
+    const correctOptions = Array.isArray(question?.correctOptions) ? question.correctOptions : [];
+    const picks = parseSelection(submission);
+    const { right, wrong, credit } = scoreSelection(correctOptions, picks);
+    const result = {
+      isCorrect: credit === 1,
+      isPartial: credit > 0 && credit < 1,
+      earned: pointsFor(credit),
+      credit,
+      correctAnswer: question?.answer ?? '',
+      correctOptions,
+      playerAnswer: picks.join(', '),
+      judgedBy: 'selection',
+    };
+    if (debug) {
+      result.evaluationLog = [{ message: 'Selection score', details: { picks, right, wrong, credit } }];
+    }
+    return result;
+  }
+
+  if (questionType === 'multiple' || questionType === 'truefalse') {
+    const isTrueFalse = questionType === 'truefalse';
+    const normalizedSubmitted = isTrueFalse ? normalizeTrueFalse(submission) : normaliseAnswer(submission ?? '');
+    const normalizedCorrect = isTrueFalse ? normalizeTrueFalse(question?.answer) : normaliseAnswer(question?.answer ?? '');
     const isCorrect = Boolean(normalizedSubmitted && normalizedCorrect && normalizedSubmitted === normalizedCorrect);
-    const speedBonus = calculateSpeedBonus(durationMs, timeRemainingMs, includeSpeedBonus);
-    const baseScore = 1000 + speedBonus;
-    const earned = isCorrect ? baseScore : 0;
     return {
       isCorrect,
       isPartial: false,
-      earned,
+      earned: pointsFor(isCorrect ? 1 : 0),
       correctAnswer: question?.answer ?? '',
       playerAnswer: submission ?? '',
       judgedBy: 'choice',
@@ -190,7 +519,35 @@ export async function evaluateAnswer(question, submission, options = {}) {
   });
   log('Rule config', cfg);
 
-  if (cfg.llmPrimaryEnabled && isLlmJudgeConfigured() && normalizedSubmitted) {
+  // Space-insensitive variants help accept answers with different hyphenation/
+  // punctuation spacing (e.g., "e-mail" vs "email", "well-known" vs "well known").
+  const compactSubmitted = normalizedSubmitted.replace(/\s+/g, '');
+  const compactExpected = normalizedExpected.map((e) => e.replace(/\s+/g, ''));
+  const matchesExpected =
+    normalizedExpected.some((expected) => normalizedSubmitted === expected) ||
+    (cfg.allowCompactMatch && compactSubmitted && compactExpected.some((e) => e === compactSubmitted));
+
+  // Author-defined pattern rules are checked before the LLM. When one matches, the LLM is skipped.
+  // An answer matching the expected or an alternate answer is correct without running them, so
+  // a partial rule cannot downgrade it.
+  let patternDecided = false;
+  if (question.answerRules?.length && matchesExpected) {
+    isCorrect = true;
+    patternDecided = true;
+    log('Exact/compact match succeeded, pattern rules skipped.');
+  } else if (question.answerRules?.length) {
+    const { verdict, trace } = matchAnswerRules(question.answerRules, submission, { normalize: normaliseAnswer });
+    log('Pattern rules', trace);
+    if (verdict) {
+      isCorrect = verdict === 'correct';
+      isPartial = !isCorrect;
+      judgedBy = 'pattern';
+      patternDecided = true;
+      log(isCorrect ? 'Pattern rule accepted as correct.' : 'Pattern rule accepted as partial.');
+    }
+  }
+
+  if (!patternDecided && cfg.llmPrimaryEnabled && isLlmJudgeConfigured() && normalizedSubmitted) {
     llmAlreadyTried = true;
     log('LLM primary enabled, sending to LLM judge.');
     const llmResult = await judgeAnswerWithLlm({
@@ -231,15 +588,9 @@ export async function evaluateAnswer(question, submission, options = {}) {
       log('Synonym lookup results', normalizedSynonyms);
     }
 
-    // Space-insensitive variants help accept answers with different hyphenation/
-    // punctuation spacing (e.g., "e-mail" vs "email", "well-known" vs "well known").
-    const compactSubmitted = normalizedSubmitted.replace(/\s+/g, '');
-    const compactExpected = normalizedExpected.map((e) => e.replace(/\s+/g, ''));
     log('Compact match values', { compactSubmitted, compactExpected });
 
-    isCorrect =
-      normalizedExpected.some((expected) => normalizedSubmitted === expected) ||
-      (cfg.allowCompactMatch && compactSubmitted && compactExpected.some((e) => e === compactSubmitted));
+    isCorrect = matchesExpected;
 
     if (!isCorrect) {
       log('Exact/compact match failed.');
@@ -298,10 +649,8 @@ export async function evaluateAnswer(question, submission, options = {}) {
     }
   }
 
-  const speedBonus = calculateSpeedBonus(durationMs, timeRemainingMs, includeSpeedBonus);
-  const baseScore = 1000 + speedBonus;
-  const earned = isCorrect ? baseScore : isPartial ? Math.round(baseScore / 2) : 0;
-  log('Score calculation', { baseScore, speedBonus, earned });
+  const earned = pointsFor(isCorrect ? 1 : isPartial ? profile.partialCredit : 0);
+  log('Score calculation', { profile, speedBonus, weight: question.weight ?? 1, earned });
 
   const result = {
     isCorrect,
@@ -327,6 +676,7 @@ export async function scoreSubmission(questions = [], submissions = [], options
     includeSpeedBonus = true,
     context = '',
     gradingCondition = '',
+    scoring = null,
   } = options;
   let score = 0;
   const responses = [];
@@ -343,15 +693,18 @@ export async function scoreSubmission(questions = [], submissions = [], options
       includeSpeedBonus,
       context,
       gradingCondition,
+      scoring,
     });
 
     score += evaluation.earned;
     responses.push({
-      prompt: question.prompt,
-      submitted: typeof submission === 'string' ? submission : String(submission ?? ''),
+      prompt: formatClozePrompt(question.prompt),
+      submitted: submission && typeof submission === 'object' ? evaluation.playerAnswer : String(submission ?? ''),
       correctAnswer: question.answer,
       isCorrect: evaluation.isCorrect,
       isPartial: evaluation.isPartial,
+      ...(evaluation.unscored ? { unscored: true } : {}),
+      ...(evaluation.wordDiff ? { wordDiff: evaluation.wordDiff } : {}),
     });
   }
 
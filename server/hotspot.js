@@ -0,0 +1,71 @@
+// Hotspot regions and tapped points use coordinates relative to the image (0–1 on each axis),
+// so grading does not depend on how large the image was drawn on the player's screen.
+// Regions are `{ shape: 'rect', x, y, width, height }` or `{ shape: 'circle', x, y, radius }`,
+// where a circle's radius is measured against the image width.
+
+const clampUnit = (value) => Math.min(Math.max(value, 0), 1);
+const toNumber = (value) => (typeof value === 'number' || typeof value === 'string' ? Number(value) : NaN);
+
+function sanitizeRegion(raw) {
+  const x = toNumber(raw?.x);
+  const y = toNumber(raw?.y);
+  if (!Number.isFinite(x) || !Number.isFinite(y)) return null;
+
+  if (raw?.shape === 'circle') {
+    const radius = toNumber(raw.radius);
+    if (!Number.isFinite(radius) || radius <= 0) return null;
+    return { shape: 'circle', x: clampUnit(x), y: clampUnit(y), radius: Math.min(radius, 1) };
+  }
+
+  const width = toNumber(raw?.width);
+  const height = toNumber(raw?.height);
+  if (!Number.isFinite(width) || !Number.isFinite(height) || width <= 0 || height <= 0) return null;
+  const left = clampUnit(x);
+  const top = clampUnit(y);
+  return {
+    shape: 'rect',
+    x: left,
+    y: top,
+    width: Math.min(width, 1 - left),
+    height: Math.min(height, 1 - top),
+  };
+}
+
+export function sanitizeHotspotRegions(raw = []) {
+  return (Array.isArray(raw) ? raw : []).map(sanitizeRegion).filter(Boolean);
+}
+
+// Accepts `{ x, y }`, `[x, y]` or "x,y". Returns null when the point is missing or off the image.
+export function parseHotspotPoint(raw) {
+  let pair = raw;
+  if (typeof raw === 'string') pair = raw.split(',');
+  const [x, y] = Array.isArray(pair) ? pair.map(toNumber) : [toNumber(pair?.x), toNumber(pair?.y)];
+  if (!Number.isFinite(x) || !Number.isFinite(y)) return null;
+  if (x < 0 || x > 1 || y < 0 || y > 1) return null;
+  return { x, y };
+}
+
+function regionContains(region, point, aspectRatio) {
+  if (region.shape === 'circle') {
+    // Height is scaled by the image's aspect ratio so circles stay round on non-square images.
+    const dx = point.x - region.x;
+    const dy = (point.y - region.y) / aspectRatio;
+    return dx * dx + dy * dy <= region.radius * region.radius;
+  }
+  return point.x >= region.x
+    && point.x <= region.x + region.width
+    && point.y >= region.y
+    && point.y <= region.y + region.height;
+}
+
+// Index of the first region containing the point, or -1. `aspectRatio` is the image's width / height.
+export function hitTestRegions(regions = [], point, { aspectRatio = 1 } = {}) {
+  if (!point) return -1;
+  const ratio = Number.isFinite(aspectRatio) && aspectRatio > 0 ? aspectRatio : 1;
+  return regions.findIndex((region) => regionContains(region, point, ratio));
+}
+
+export function formatHotspotPoint(point) {
+  if (!point) return '';
+  return `(${Math.round(point.x * 100)}%, ${Math.round(point.y * 100)}%)`;
+}
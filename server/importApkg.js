@@ -4,8 +4,13 @@ import path from 'path';
 import JSZip from 'jszip';
 import initSqlJs from 'sql.js';
 import mime from 'mime-types';
+import { hasClozeMarkup } from './cloze.js';
 import { saveMediaAsset } from './storage.js';
 
+export const MATCHING_PAIRS_PER_ROUND = 5;
+// Anki marks cloze note types with model type 1.
+const ANKI_CLOZE_MODEL_TYPE = 1;
+
 const SOUND_REGEX = /\[sound:([^\]]+)\]/gi;
 const IMG_REGEX = /<img[^>]+src="([^"]+)"[^>]*>/gi;
 
@@ -129,12 +134,21 @@ async function mapQuestionFromNote(fieldsRaw, model, mediaRefs, resolver) {
     return null;
   }
 
+  // The cloze markup itself carries the answers; sanitizeQuestions turns it into blanks.
+  if (model?.type === ANKI_CLOZE_MODEL_TYPE || hasClozeMarkup(fieldsRaw[0])) {
+    const prompt = cleanedFields[0];
+    if (hasClozeMarkup(prompt)) {
+      return { prompt, type: 'cloze', media: await resolveMediaFromField(1) };
+    }
+  }
+
   if (expressionIdx >= 0 && clipIdx >= 0) {
     const answer = cleanedFields[expressionIdx];
     const media = await resolveMediaFromField(clipIdx, 'audio');
     if (answer) {
       return {
         prompt: 'Listen and type the sentence.',
+        type: 'dictation',
         answer,
         media,
       };
@@ -166,7 +180,34 @@ async function mapQuestionFromNote(fieldsRaw, model, mediaRefs, resolver) {
   return null;
 }
 
-async function parseApkg(buffer, originalFileName = 'upload.apkg') {
+// Groups plain text cards into matching rounds of MATCHING_PAIRS_PER_ROUND pairs. Cards with media
+// cannot sit in a matching column, so they stay as ordinary questions. A trailing round of one card
+// is folded into the previous round.
+function buildMatchingRounds(questions) {
+  const isPlainCard = (question) => !question.media && !question.type;
+  const textCards = questions.filter(isPlainCard);
+  const others = questions.filter((question) => !isPlainCard(question));
+  const rounds = [];
+  for (let start = 0; start < textCards.length; start += MATCHING_PAIRS_PER_ROUND) {
+    rounds.push(textCards.slice(start, start + MATCHING_PAIRS_PER_ROUND));
+  }
+  if (rounds.length > 1 && rounds[rounds.length - 1].length === 1) {
+    rounds[rounds.length - 2].push(...rounds.pop());
+  }
+
+  const matching = rounds
+    .filter((cards) => cards.length >= 2)
+    .map((cards, index) => ({
+      prompt: `Match the pairs (round ${index + 1})`,
+      type: 'matching',
+      pairs: cards.map((card) => ({ left: card.prompt, right: card.answer })),
+      media: null,
+    }));
+  const leftover = rounds.filter((cards) => cards.length < 2).flat();
+  return [...matching, ...leftover, ...others];
+}
+
+async function parseApkg(buffer, originalFileName = 'upload.apkg', { format = 'questions' } = {}) {
   const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
   const zip = await JSZip.loadAsync(buffer);
   const collectionEntry = zip.file('collection.anki2');
@@ -226,9 +267,12 @@ async function parseApkg(buffer, originalFileName = 'upload.apkg') {
     const question = await mapQuestionFromNote(fieldsRaw, model, mediaRefs, (ref) =>
       resolveMedia(ref, zip, nameToKey, mediaCache),
     );
-    if (question?.prompt && question?.answer) {
+    if (question?.type === 'cloze') {
+      template.questions.push(question);
+    } else if (question?.prompt && question?.answer) {
       template.questions.push({
         prompt: question.prompt,
+        ...(question.type ? { type: question.type } : {}),
         answer: question.answer,
         alternateAnswers: [],
         partialAnswers: [],
@@ -242,23 +286,25 @@ async function parseApkg(buffer, originalFileName = 'upload.apkg') {
     .map((entry) => ({
       deckId: entry.deckId,
       deckName: entry.deckName,
-      questions: entry.questions,
+      questions: format === 'matching' ? buildMatchingRounds(entry.questions) : entry.questions,
     }));
 
   return {
     templates,
     sha256,
+    format,
     fileName: originalFileName,
   };
 }
 
-async function importApkg(buffer, originalFileName = 'upload.apkg') {
-  return parseApkg(buffer, originalFileName);
+async function importApkg(buffer, originalFileName = 'upload.apkg', options = {}) {
+  return parseApkg(buffer, originalFileName, options);
 }
 
-export async function importApkgFromPath(filePath, originalFileName = 'upload.apkg') {
+// `options.format` is 'questions' (one open question per card) or 'matching' (rounds of pairs).
+export async function importApkgFromPath(filePath, originalFileName = 'upload.apkg', options = {}) {
   const buffer = await fs.readFile(filePath);
-  return parseApkg(buffer, originalFileName);
+  return parseApkg(buffer, originalFileName, options);
 }
 
 export default importApkg;
@@ -0,0 +1,81 @@
+// Latency compensation for timed answers. The server pings each player socket and keeps the
+// round trips it measured itself, so a client can only ever make its own estimate worse.
+// Answers then carry two client-clock stamps (when the question was shown, when the answer
+// was sent) that are checked against those measurements before they are trusted.
+
+// No answer is credited with more than this much network time, however slow the link looks.
+export const MAX_COMPENSATION_MS = 1000;
+// Allowance for jitter between the measured round trip and the one the answer actually took.
+const JITTER_ALLOWANCE_MS = 100;
+const MAX_SAMPLES = 8;
+const MAX_PENDING_PINGS = 4;
+
+export function createClockState() {
+  return { nextId: 1, pending: new Map(), samples: [] };
+}
+
+// Returns the id to send with `clock:ping`; the send time never leaves the server.
+export function issueClockPing(state, now = Date.now()) {
+  const id = state.nextId;
+  state.nextId += 1;
+  state.pending.set(id, now);
+  if (state.pending.size > MAX_PENDING_PINGS) {
+    state.pending.delete(state.pending.keys().next().value);
+  }
+  return id;
+}
+
+// Records a `clock:pong`. The offset is the client clock minus the server clock, assuming the
+// round trip splits evenly; unknown or repeated ids are ignored.
+export function recordClockPong(state, { id, clientTime } = {}, now = Date.now()) {
+  const sentAt = state.pending.get(id);
+  if (sentAt === undefined) return null;
+  state.pending.delete(id);
+  const roundTripMs = now - sentAt;
+  if (roundTripMs < 0 || !Number.isFinite(Number(clientTime))) return null;
+  const sample = { roundTripMs, offsetMs: Number(clientTime) - (sentAt + roundTripMs / 2) };
+  state.samples.push(sample);
+  if (state.samples.length > MAX_SAMPLES) state.samples.shift();
+  return sample;
+}
+
+// The fastest recent round trip is the one least disturbed by queueing, so it sets the estimate.
+export function estimateClock(state) {
+  if (!state?.samples.length) return null;
+  const best = state.samples.reduce((fastest, sample) => (
+    sample.roundTripMs < fastest.roundTripMs ? sample : fastest
+  ));
+  return {
+    roundTripMs: Math.round(best.roundTripMs),
+    offsetMs: Math.round(best.offsetMs),
+  };
+}
+
+// The most network time an answer from this socket may be credited with.
+export function compensationAllowance(clock) {
+  if (!clock) return 0;
+  return Math.min(clock.roundTripMs + JITTER_ALLOWANCE_MS, MAX_COMPENSATION_MS);
+}
+
+// Time the player took to answer, in server milliseconds. With consistent stamps this is the
+// time between showing the question and sending the answer; otherwise the measured round trip
+// is taken off the raw time. Either way, the compensation stays within the allowance.
+export function compensateElapsed({ questionStart, receivedAt, clock, shownAt, sentAt }) {
+  const rawMs = Math.max(0, receivedAt - questionStart);
+  const allowance = compensationAllowance(clock);
+  if (!allowance) return { elapsedMs: rawMs, compensationMs: 0 };
+
+  let compensationMs = Math.min(clock.roundTripMs, allowance);
+  const shown = Number(shownAt);
+  const sent = Number(sentAt);
+  if (Number.isFinite(shown) && Number.isFinite(sent) && sent >= shown) {
+    // Mapped onto the server clock, the stamps must fall between the question going out and
+    // the answer arriving, give or take the allowance.
+    const shownOnServer = shown - clock.offsetMs;
+    const sentOnServer = sent - clock.offsetMs;
+    const consistent = shownOnServer >= questionStart - allowance && sentOnServer <= receivedAt + allowance;
+    if (consistent) compensationMs = rawMs - (sent - shown);
+  }
+  compensationMs = Math.round(Math.min(Math.max(compensationMs, 0), allowance, rawMs));
+  return { elapsedMs: rawMs - compensationMs, compensationMs };
+}
@@ -0,0 +1,238 @@
+// Parsing and comparison for numeric answers. Values are compared as numbers, never as strings,
+// so "3.50", "3,5" and "7/2" all match 3.5 and "12" never passes for 13.
+
+const linear = (dimension, factor) => ({
+  dimension,
+  toBase: (value) => value * factor,
+  fromBase: (value) => value / factor,
+});
+
+// Canonical unit keys. Length is based on metres, mass on grams, temperature on °C.
+const UNITS = {
+  mm: { label: 'mm', ...linear('length', 0.001) },
+  cm: { label: 'cm', ...linear('length', 0.01) },
+  m: { label: 'm', ...linear('length', 1) },
+  km: { label: 'km', ...linear('length', 1000) },
+  in: { label: 'in', ...linear('length', 0.0254) },
+  ft: { label: 'ft', ...linear('length', 0.3048) },
+  mg: { label: 'mg', ...linear('mass', 0.001) },
+  g: { label: 'g', ...linear('mass', 1) },
+  kg: { label: 'kg', ...linear('mass', 1000) },
+  c: {
+    label: '°C',
+    dimension: 'temperature',
+    toBase: (value) => value,
+    fromBase: (value) => value,
+  },
+  f: {
+    label: '°F',
+    dimension: 'temperature',
+    toBase: (value) => ((value - 32) * 5) / 9,
+    fromBase: (value) => (value * 9) / 5 + 32,
+  },
+  k: {
+    label: 'K',
+    dimension: 'temperature',
+    toBase: (value) => value - 273.15,
+    fromBase: (value) => value + 273.15,
+  },
+};
+
+const UNIT_ALIASES = {
+  millimeter: 'mm',
+  millimetre: 'mm',
+  centimeter: 'cm',
+  centimetre: 'cm',
+  meter: 'm',
+  metre: 'm',
+  kilometer: 'km',
+  kilometre: 'km',
+  inch: 'in',
+  inches: 'in',
+  foot: 'ft',
+  feet: 'ft',
+  milligram: 'mg',
+  gram: 'g',
+  kilogram: 'kg',
+  kilo: 'kg',
+  celsius: 'c',
+  degc: 'c',
+  fahrenheit: 'f',
+  degf: 'f',
+  kelvin: 'k',
+};
+
+const NUMBER_PATTERN = new RegExp(
+  '^([+-]?(?:\\d+\\s+\\d+/\\d+|\\d+(?:[.,]\\d+)?/\\d+(?:[.,]\\d+)?|[\\d.,]*\\d(?:e[+-]?\\d+)?'
+  + '(?:\\s*[x×*·]\\s*10\\s*\\^\\s*[+-]?\\d+)?))\\s*(.*)$',
+  'i',
+);
+
+// Digit groups may be split by spaces ("1 000 000"); a mixed number ("1 1/2") is left alone.
+const SPACED_GROUPS = /^([+-]?\d{1,3})((?:[ \u00a0\u202f]\d{3})+)(?![\d/])/;
+
+function lookupUnit(key) {
+  if (!key) return null;
+  if (UNITS[key]) return key;
+  const singular = key.endsWith('s') ? key.slice(0, -1) : key;
+  return UNIT_ALIASES[key] || UNIT_ALIASES[singular] || null;
+}
+
+export function resolveUnit(raw) {
+  const key = String(raw ?? '')
+    .trim()
+    .toLowerCase()
+    .replace(/[°º]/g, '')
+    .replace(/\s+/g, '');
+  const unit = lookupUnit(key);
+  if (unit) return unit;
+  // "212 degrees F", "deg C": the prefix only ever names a temperature scale.
+  const scale = lookupUnit(key.replace(/^deg(?:ree)?s?/, ''));
+  return scale && UNITS[scale].dimension === 'temperature' ? scale : null;
+}
+
+export function formatUnit(unit) {
+  return UNITS[unit]?.label || '';
+}
+
+// A single comma is a decimal separator ("3,5"); repeated commas, or commas before a dot,
+// group thousands ("1,000,000", "1,234.5"). "1,000" is ambiguous: a lone comma followed by
+// exactly three digits is read as grouping unless the whole part is 0, so "0,125" stays 0.125.
+function parseDecimal(text) {
+  let value = text;
+  const commaCount = (value.match(/,/g) || []).length;
+  if (value.includes('.') && commaCount) {
+    value = value.lastIndexOf(',') > value.lastIndexOf('.')
+      ? value.replace(/\./g, '').replace(',', '.')
+      : value.replace(/,/g, '');
+  } else if (commaCount > 1 || /^[1-9]\d{0,2},\d{3}$/.test(value)) {
+    value = value.replace(/,/g, '');
+  } else {
+    value = value.replace(',', '.');
+  }
+  if (!/^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(value)) return null;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function parseNumber(text) {
+  const compact = text.replace(/[−–]/g, '-');
+  const sign = compact.startsWith('-') ? -1 : 1;
+  const body = compact.replace(/^[+-]/, '');
+
+  const mixed = body.match(/^(\d+)\s+(\d+)\/(\d+)$/);
+  if (mixed) {
+    const denominator = Number(mixed[3]);
+    if (!denominator) return null;
+    return sign * (Number(mixed[1]) + Number(mixed[2]) / denominator);
+  }
+
+  if (body.includes('/')) {
+    const [numerator, denominator] = body.split('/').map(parseDecimal);
+    if (numerator === null || !denominator) return null;
+    return (sign * numerator) / denominator;
+  }
+
+  const power = body.match(/^(.*?)\s*[x×*·]\s*10\s*\^\s*([+-]?\d+)$/i);
+  if (power) {
+    const mantissa = parseDecimal(power[1]);
+    return mantissa === null ? null : sign * mantissa * 10 ** Number(power[2]);
+  }
+
+  const parsed = parseDecimal(body);
+  return parsed === null ? null : sign * parsed;
+}
+
+// Returns `{ value, unit }` where unit is a canonical key, '' when none was written,
+// or null when the text after the number is not a known unit. Returns null for non-numbers.
+export function parseNumericAnswer(raw) {
+  if (typeof raw === 'number') return Number.isFinite(raw) ? { value: raw, unit: '' } : null;
+  const text = String(raw ?? '')
+    .trim()
+    .replace(/[−–]/g, '-')
+    .replace(SPACED_GROUPS, (_match, head, groups) => head + groups.replace(/\D/g, ''));
+  const match = text.match(NUMBER_PATTERN);
+  if (!match) return null;
+  const value = parseNumber(match[1].trim());
+  if (value === null) return null;
+  const unitText = match[2].trim();
+  return { value, unit: unitText ? resolveUnit(unitText) : '' };
+}
+
+export function formatNumber(value) {
+  return String(Number(value.toPrecision(12)));
+}
+
+function convert(value, fromUnit, toUnit) {
+  if (fromUnit === toUnit) return value;
+  return UNITS[toUnit].fromBase(UNITS[fromUnit].toBase(value));
+}
+
+export function unitsAreCompatible(left, right) {
+  return Boolean(UNITS[left] && UNITS[right] && UNITS[left].dimension === UNITS[right].dimension);
+}
+
+// `question` is a sanitized numeric question: { value, tolerance, toleranceType, unit, acceptedUnits }.
+export function gradeNumericAnswer(question, submission) {
+  const parsed = parseNumericAnswer(submission);
+  if (!parsed) {
+    return { isCorrect: false, reason: 'not-a-number' };
+  }
+
+  const expectedUnit = question.unit || '';
+  let submittedUnit = parsed.unit;
+  if (submittedUnit === null) {
+    return { isCorrect: false, reason: 'unknown-unit', value: parsed.value };
+  }
+  if (!submittedUnit) submittedUnit = expectedUnit;
+  const allowedUnits = [expectedUnit, ...(question.acceptedUnits || [])];
+  if (!allowedUnits.includes(submittedUnit)) {
+    return { isCorrect: false, reason: 'unit-not-accepted', value: parsed.value, unit: submittedUnit };
+  }
+
+  const value = convert(parsed.value, submittedUnit, expectedUnit);
+  const tolerance = question.toleranceType === 'percent'
+    ? Math.abs(question.value) * (question.tolerance / 100)
+    : question.tolerance;
+  const difference = Math.abs(value - question.value);
+  // Float slack so 0.1 + 0.2 style rounding never turns an exact answer into a miss.
+  const slack = 1e-9 * Math.max(1, Math.abs(question.value));
+  return {
+    isCorrect: difference <= tolerance + slack,
+    value,
+    unit: submittedUnit,
+    difference,
+    tolerance,
+  };
+}
+
+function parseTolerance(rawTolerance, rawType) {
+  const text = String(rawTolerance ?? '').trim().replace(/^±|^\+\/-/, '').trim();
+  const isPercent = text.endsWith('%') || String(rawType ?? '').toLowerCase() === 'percent';
+  const parsed = parseNumericAnswer(text.replace(/%$/, ''));
+  const tolerance = parsed && parsed.unit === '' ? Math.abs(parsed.value) : 0;
+  return { tolerance, toleranceType: isPercent ? 'percent' : 'absolute' };
+}
+
+// Normalizes authored numeric fields. `answer` may carry the unit ("3.5 cm") or it can be given
+// separately as `unit`. Returns null when the expected value is not a number or its unit is unknown.
+export function sanitizeNumericAnswer(raw = {}) {
+  const parsed = parseNumericAnswer(raw.value ?? raw.answer);
+  if (!parsed || parsed.unit === null) return null;
+  const unit = raw.unit ? resolveUnit(raw.unit) : parsed.unit;
+  if (unit === null) return null;
+
+  const acceptedUnits = Array.from(new Set(
+    (Array.isArray(raw.acceptedUnits) ? raw.acceptedUnits : [])
+      .map(resolveUnit)
+      .filter((entry) => entry && entry !== unit && unitsAreCompatible(entry, unit)),
+  ));
+
+  return {
+    answer: [formatNumber(parsed.value), formatUnit(unit)].filter(Boolean).join(' '),
+    value: parsed.value,
+    ...parseTolerance(raw.tolerance, raw.toleranceType),
+    unit,
+    acceptedUnits,
+  };
+}
@@ -0,0 +1,66 @@
+// Poll and word-cloud questions have no correct answer; the room sees the tally instead.
+export const UNSCORED_QUESTION_TYPES = ['poll', 'wordcloud'];
+
+const MAX_WORDCLOUD_ENTRY_LENGTH = 40;
+const MAX_WORDCLOUD_WORDS = 50;
+
+export function isUnscoredQuestion(question) {
+  return UNSCORED_QUESTION_TYPES.includes(question?.type);
+}
+
+function normalizeKey(value) {
+  return String(value ?? '')
+    .normalize('NFKC')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, ' ');
+}
+
+// Returns the authored option a vote refers to, or '' when it matches none.
+export function matchPollOption(options = [], submission) {
+  const key = normalizeKey(submission);
+  if (!key) return '';
+  return options.find((option) => normalizeKey(option) === key) || '';
+}
+
+// Trims a word-cloud entry to something that fits on the wall; punctuation around it is dropped.
+export function normalizeWordCloudEntry(submission) {
+  return String(submission ?? '')
+    .normalize('NFKC')
+    .replace(/^[\s\p{P}]+|[\s\p{P}]+$/gu, '')
+    .replace(/\s+/g, ' ')
+    .slice(0, MAX_WORDCLOUD_ENTRY_LENGTH);
+}
+
+// `responses` are the accepted answers for the question so far, one per player.
+export function aggregateResponses(question, responses = []) {
+  if (question?.type === 'poll') {
+    const options = question.options || [];
+    const counts = new Map(options.map((option) => [option, 0]));
+    responses.forEach((response) => {
+      if (counts.has(response)) counts.set(response, counts.get(response) + 1);
+    });
+    return {
+      type: 'poll',
+      total: responses.length,
+      counts: options.map((option) => ({ option, count: counts.get(option) })),
+    };
+  }
+
+  // Entries are grouped case-insensitively and shown as first typed.
+  const words = new Map();
+  responses.forEach((response) => {
+    const key = normalizeKey(response);
+    if (!key) return;
+    const entry = words.get(key) || { text: response, count: 0 };
+    entry.count += 1;
+    words.set(key, entry);
+  });
+  return {
+    type: 'wordcloud',
+    total: responses.length,
+    words: Array.from(words.values())
+      .sort((a, b) => b.count - a.count)
+      .slice(0, MAX_WORDCLOUD_WORDS),
+  };
+}
@@ -0,0 +1,55 @@
+import { normaliseAnswer, normalizeTrueFalse, parseSelection } from './evaluation.js';
+import { groupSubmissions } from './regrading.js';
+
+// Answers to these are picked from the shown options, so they are counted per option.
+const CHOICE_TYPES = ['multiple', 'truefalse', 'multi-select'];
+const MAX_TOP_ANSWERS = 5;
+
+const optionKey = (type, value) => (type === 'truefalse' ? normalizeTrueFalse(value) : normaliseAnswer(value ?? ''));
+
+// The options a submission picked, kept with its award; null for questions without options to count.
+export function answerChoices(question, submission) {
+  return CHOICE_TYPES.includes(question?.type) ? parseSelection(submission) : null;
+}
+
+// The room's results for one closed question, built from its awards so a regrade is reflected.
+// Choice questions count picks per option; other questions list the most common answers, grouped
+// the way the host sees them. Hotspot taps are left to the heatmap.
+export function buildQuestionStats(question, { options = [], awards = {}, playerCount = 0 } = {}) {
+  const type = question?.type || 'open';
+  const entries = Object.values(awards);
+  const correct = entries.filter((award) => award.verdict === 'correct').length;
+  const partial = entries.filter((award) => award.verdict === 'partial').length;
+  const asked = Math.max(playerCount, entries.length);
+  const stats = {
+    type,
+    answered: entries.length,
+    playerCount: asked,
+    correct,
+    partial,
+    percentCorrect: asked ? Math.round((correct / asked) * 100) : 0,
+  };
+
+  if (CHOICE_TYPES.includes(type)) {
+    const correctKeys = new Set(
+      (type === 'multi-select' ? question.correctOptions || [] : [question.answer]).map((value) => optionKey(type, value)),
+    );
+    const counts = new Map((options || []).map((option) => [optionKey(type, option), 0]));
+    entries.forEach((award) => {
+      (award.choices || []).forEach((choice) => {
+        const key = optionKey(type, choice);
+        if (counts.has(key)) counts.set(key, counts.get(key) + 1);
+      });
+    });
+    stats.options = (options || []).map((option) => ({
+      option,
+      count: counts.get(optionKey(type, option)),
+      correct: correctKeys.has(optionKey(type, option)),
+    }));
+  } else if (type !== 'hotspot') {
+    stats.topAnswers = groupSubmissions(entries)
+      .slice(0, MAX_TOP_ANSWERS)
+      .map(({ answer, verdict, count }) => ({ answer, verdict, count }));
+  }
+  return stats;
+}
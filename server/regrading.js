@@ -0,0 +1,44 @@
+import { normaliseAnswer } from './evaluation.js';
+import { scoreCredit } from './scoring.js';
+
+// Verdicts a host can give a group of submitted answers.
+export const REGRADE_VERDICTS = ['correct', 'partial', 'wrong'];
+
+export function verdictOf(evaluation) {
+  if (evaluation?.isCorrect) return 'correct';
+  return evaluation?.isPartial ? 'partial' : 'wrong';
+}
+
+// Same grouping key the host sees, so "Paris", "paris." and " PARIS" are overridden together.
+export function submissionKey(answer) {
+  return normaliseAnswer(answer) || String(answer ?? '').trim().toLowerCase();
+}
+
+// `entries` are `{ name, answer, verdict, overridden? }`, one per submitted answer. Groups are
+// sorted by size so the most common answers, the ones most worth checking, come first.
+export function groupSubmissions(entries = []) {
+  const groups = new Map();
+  entries.forEach((entry) => {
+    const key = submissionKey(entry.answer);
+    const group = groups.get(key) || { key, answer: String(entry.answer ?? ''), verdicts: new Set(), players: [] };
+    group.verdicts.add(entry.verdict);
+    group.players.push(entry.name || 'Unknown player');
+    group.overridden = group.overridden || Boolean(entry.overridden);
+    groups.set(key, group);
+  });
+  return Array.from(groups.values())
+    .map(({ verdicts, ...group }) => ({
+      ...group,
+      verdict: verdicts.size === 1 ? verdicts.values().next().value : 'mixed',
+      count: group.players.length,
+    }))
+    .sort((a, b) => b.count - a.count || a.answer.localeCompare(b.answer));
+}
+
+// Points the answer is worth under the new verdict. The speed bonus it was answered with is
+// kept; a streak bonus is kept only while the answer stays correct.
+export function regradeAward(award, verdict, { profile, weight = 1 }) {
+  const credit = verdict === 'correct' ? 1 : verdict === 'partial' ? profile.partialCredit : 0;
+  const points = scoreCredit(profile, { credit, speedBonus: award.speedBonus || 0, weight, answered: true });
+  return points + (verdict === 'correct' ? award.streakBonus || 0 : 0);
+}
@@ -0,0 +1,99 @@
+const SNAPSHOT_FIELDS = ['title', 'questionDuration', 'context', 'gradingCondition', 'scoring'];
+
+// The parts of a template that a save can change; ids, owners and import metadata are not versioned.
+export function snapshotQuiz(template) {
+  return {
+    title: template.title,
+    questions: template.questions,
+    questionDuration: template.questionDuration,
+    context: template.context || '',
+    gradingCondition: template.gradingCondition || '',
+    scoring: template.scoring ?? null,
+  };
+}
+
+function isSameValue(before, after) {
+  return JSON.stringify(before ?? null) === JSON.stringify(after ?? null);
+}
+
+function promptKey(question) {
+  return String(question?.prompt ?? '').trim().toLowerCase();
+}
+
+function diffQuestionFields(before, after) {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  // Homework-only shuffles are regenerated on every assignment, so they never count as an edit.
+  fields.delete('shuffledOptions');
+  return Array.from(fields)
+    .filter((field) => !isSameValue(before?.[field], after?.[field]))
+    .map((field) => ({ field, before: before?.[field] ?? null, after: after?.[field] ?? null }));
+}
+
+// Pairs questions by prompt first, then by position for whatever is left, so an edited
+// prompt shows up as a change rather than a removal plus an addition.
+function pairQuestions(beforeQuestions, afterQuestions) {
+  const pairs = [];
+  const unmatchedAfter = new Set(afterQuestions.map((_question, index) => index));
+  const unmatchedBefore = [];
+
+  beforeQuestions.forEach((question, fromIndex) => {
+    const key = promptKey(question);
+    const toIndex = Array.from(unmatchedAfter).find((index) => promptKey(afterQuestions[index]) === key);
+    if (toIndex === undefined) {
+      unmatchedBefore.push(fromIndex);
+      return;
+    }
+    unmatchedAfter.delete(toIndex);
+    pairs.push({ fromIndex, toIndex });
+  });
+
+  unmatchedBefore.forEach((fromIndex) => {
+    if (unmatchedAfter.has(fromIndex)) {
+      unmatchedAfter.delete(fromIndex);
+      pairs.push({ fromIndex, toIndex: fromIndex });
+    } else {
+      pairs.push({ fromIndex, toIndex: null });
+    }
+  });
+  unmatchedAfter.forEach((toIndex) => pairs.push({ fromIndex: null, toIndex }));
+
+  return pairs.sort((a, b) => (a.toIndex ?? a.fromIndex) - (b.toIndex ?? b.fromIndex));
+}
+
+export function diffQuizSnapshots(before, after) {
+  const settings = SNAPSHOT_FIELDS
+    .filter((field) => !isSameValue(before?.[field], after?.[field]))
+    .map((field) => ({ field, before: before?.[field] ?? null, after: after?.[field] ?? null }));
+
+  const beforeQuestions = Array.isArray(before?.questions) ? before.questions : [];
+  const afterQuestions = Array.isArray(after?.questions) ? after.questions : [];
+  const summary = { added: 0, removed: 0, changed: 0, moved: 0, unchanged: 0 };
+
+  const questions = pairQuestions(beforeQuestions, afterQuestions).map(({ fromIndex, toIndex }) => {
+    const previous = fromIndex === null ? null : beforeQuestions[fromIndex];
+    const next = toIndex === null ? null : afterQuestions[toIndex];
+    let status;
+    let changes = [];
+    if (!previous) {
+      status = 'added';
+    } else if (!next) {
+      status = 'removed';
+    } else {
+      changes = diffQuestionFields(previous, next);
+      if (changes.length) status = 'changed';
+      else status = fromIndex === toIndex ? 'unchanged' : 'moved';
+    }
+    summary[status] += 1;
+    return {
+      status,
+      fromIndex,
+      toIndex,
+      prompt: (next || previous)?.prompt || '',
+      ...(status === 'added' ? { question: next } : {}),
+      ...(status === 'removed' ? { question: previous } : {}),
+      ...(changes.length ? { changes } : {}),
+    };
+  });
+
+  return { settings, questions, summary };
+}
@@ -0,0 +1,76 @@
+// Scoring profiles live on the quiz template and decide how a graded answer turns into points.
+// `credit` (0–1) comes from the grader; the profile decides what full credit is worth.
+export const SPEED_BONUS_CURVES = ['off', 'linear', 'stepped'];
+
+export const DEFAULT_SCORING_PROFILE = {
+  basePoints: 1000,
+  speedBonus: 'linear',
+  maxSpeedBonus: 500,
+  partialCredit: 0.5,
+  wrongPenalty: 0,
+  streakBonus: 0,
+  maxStreakBonus: 500,
+};
+
+const MAX_POINTS = 10000;
+// Stepped bonuses pay out in quarters of the time left, so close answers earn the same bonus.
+const SPEED_BONUS_STEPS = 4;
+const MIN_QUESTION_WEIGHT = 0;
+const MAX_QUESTION_WEIGHT = 5;
+
+const clampNumber = (raw, min, max, fallback) => {
+  const value = Number(raw);
+  if (raw === null || raw === '' || !Number.isFinite(value)) return fallback;
+  return Math.min(Math.max(value, min), max);
+};
+
+export function sanitizeScoringProfile(raw = {}) {
+  const defaults = DEFAULT_SCORING_PROFILE;
+  const speedBonus = String(raw?.speedBonus ?? '').trim().toLowerCase();
+  return {
+    basePoints: Math.round(clampNumber(raw?.basePoints, 0, MAX_POINTS, defaults.basePoints)),
+    speedBonus: SPEED_BONUS_CURVES.includes(speedBonus) ? speedBonus : defaults.speedBonus,
+    maxSpeedBonus: Math.round(clampNumber(raw?.maxSpeedBonus, 0, MAX_POINTS, defaults.maxSpeedBonus)),
+    partialCredit: clampNumber(raw?.partialCredit, 0, 1, defaults.partialCredit),
+    wrongPenalty: Math.round(clampNumber(raw?.wrongPenalty, 0, MAX_POINTS, defaults.wrongPenalty)),
+    streakBonus: Math.round(clampNumber(raw?.streakBonus, 0, MAX_POINTS, defaults.streakBonus)),
+    maxStreakBonus: Math.round(clampNumber(raw?.maxStreakBonus, 0, MAX_POINTS, defaults.maxStreakBonus)),
+  };
+}
+
+// Per-question multiplier (e.g. 2 for double points). Returns null for the default weight of 1.
+export function normalizeQuestionWeight(raw) {
+  const weight = clampNumber(raw, MIN_QUESTION_WEIGHT, MAX_QUESTION_WEIGHT, 1);
+  return weight === 1 ? null : Math.round(weight * 100) / 100;
+}
+
+export function calculateSpeedBonus(profile, durationMs, timeRemainingMs) {
+  if (profile.speedBonus === 'off') return 0;
+  const validDuration = Number.isFinite(durationMs) && durationMs > 0;
+  const validRemaining = Number.isFinite(timeRemainingMs) && timeRemainingMs >= 0;
+  if (!validDuration || !validRemaining) return 0;
+
+  const share = Math.min(timeRemainingMs / durationMs, 1);
+  const curve = profile.speedBonus === 'stepped'
+    ? Math.ceil(share * SPEED_BONUS_STEPS) / SPEED_BONUS_STEPS
+    : share;
+  return Math.round(curve * profile.maxSpeedBonus);
+}
+
+// Points for one answer. Wrong answers lose `wrongPenalty` only when something was submitted,
+// so running out of time is never worse than a wrong guess.
+export function scoreCredit(profile, { credit = 0, speedBonus = 0, weight = 1, answered = true } = {}) {
+  const multiplier = Number.isFinite(weight) ? weight : 1;
+  if (credit > 0) {
+    return Math.round((profile.basePoints + speedBonus) * credit * multiplier);
+  }
+  return answered && profile.wrongPenalty ? -Math.round(profile.wrongPenalty * multiplier) : 0;
+}
+
+// Extra points for a run of correct answers: `streakBonus` for each answer after the first,
+// capped at `maxStreakBonus` and scaled by the question's weight like the rest of its points.
+export function calculateStreakBonus(profile, streak, weight = 1) {
+  if (!profile?.streakBonus || streak < 2) return 0;
+  const multiplier = Number.isFinite(weight) ? weight : 1;
+  return Math.round(Math.min(profile.streakBonus * (streak - 1), profile.maxStreakBonus) * multiplier);
+}
@@ -4,6 +4,7 @@ import { SETTINGS_FILE, ensureDataDir } from './storage.js';
 let cachedStrictness = null;
 let cachedLlmFallback = null;
 let cachedLlmPrimary = null;
+let cachedDiagnosticsEnabled = null;
 
 function normalizeStrictness(value) {
   if (value === undefined || value === null) return null;
@@ -30,6 +31,10 @@ function normalizeLlmPrimary(value) {
   return normalizeLlmFallback(value);
 }
 
+function normalizeDiagnosticsEnabled(value) {
+  return normalizeLlmFallback(value);
+}
+
 function buildSettingsPayload() {
   const payload = {
     strictness: getAnswerStrictness(),
@@ -40,6 +45,9 @@ function buildSettingsPayload() {
   if (cachedLlmPrimary !== null) {
     payload.llmPrimaryEnabled = cachedLlmPrimary;
   }
+  if (cachedDiagnosticsEnabled !== null) {
+    payload.diagnosticsEnabled = cachedDiagnosticsEnabled;
+  }
   return payload;
 }
 
@@ -49,6 +57,10 @@ async function persistSettings() {
 }
 
 export async function loadSettings() {
+  cachedStrictness = null;
+  cachedLlmFallback = null;
+  cachedLlmPrimary = null;
+  cachedDiagnosticsEnabled = null;
   try {
     const file = await fs.readFile(SETTINGS_FILE, 'utf8');
     const parsed = JSON.parse(file);
@@ -64,6 +76,10 @@ export async function loadSettings() {
     if (normalizedLlmPrimary !== null) {
       cachedLlmPrimary = normalizedLlmPrimary;
     }
+    const normalizedDiagnostics = normalizeDiagnosticsEnabled(parsed?.diagnosticsEnabled);
+    if (normalizedDiagnostics !== null) {
+      cachedDiagnosticsEnabled = normalizedDiagnostics;
+    }
   } catch (error) {
     if (error.code !== 'ENOENT') {
       /* eslint-disable no-console */
@@ -96,8 +112,23 @@ export function getLlmPrimaryEnabled() {
   return cachedLlmPrimary ?? normalizeLlmPrimary(process.env.LLM_PRIMARY_ENABLED) ?? false;
 }
 
-export async function saveSettings({ strictness, llmFallbackEnabled, llmPrimaryEnabled } = {}) {
-  if (strictness === undefined && llmFallbackEnabled === undefined && llmPrimaryEnabled === undefined) {
+export function parseDiagnosticsEnabled(value) {
+  return normalizeDiagnosticsEnabled(value);
+}
+
+// Classroom deployments can switch the /test diagnostics off entirely. The environment wins so
+// an operator's kill-switch can't be undone from the admin page; the saved toggle applies when it is unset.
+export function getDiagnosticsEnabled() {
+  return normalizeDiagnosticsEnabled(process.env.DIAGNOSTICS_ENABLED) ?? cachedDiagnosticsEnabled ?? true;
+}
+
+export async function saveSettings({ strictness, llmFallbackEnabled, llmPrimaryEnabled, diagnosticsEnabled } = {}) {
+  if (
+    strictness === undefined &&
+    llmFallbackEnabled === undefined &&
+    llmPrimaryEnabled === undefined &&
+    diagnosticsEnabled === undefined
+  ) {
     const error = new Error('No settings provided.');
     error.code = 'NO_SETTINGS';
     throw error;
@@ -133,11 +164,22 @@ export async function saveSettings({ strictness, llmFallbackEnabled, llmPrimaryE
     cachedLlmPrimary = normalized;
   }
 
+  if (diagnosticsEnabled !== undefined) {
+    const normalized = normalizeDiagnosticsEnabled(diagnosticsEnabled);
+    if (normalized === null) {
+      const error = new Error('Invalid diagnostics value.');
+      error.code = 'INVALID_DIAGNOSTICS';
+      throw error;
+    }
+    cachedDiagnosticsEnabled = normalized;
+  }
+
   await persistSettings();
   return {
     strictness: getAnswerStrictness(),
     llmFallbackEnabled: getLlmFallbackEnabled(),
     llmPrimaryEnabled: getLlmPrimaryEnabled(),
+    diagnosticsEnabled: getDiagnosticsEnabled(),
   };
 }
 
@@ -156,6 +198,11 @@ export async function saveLlmPrimaryEnabled(value) {
   return llmPrimaryEnabled;
 }
 
+export async function saveDiagnosticsEnabled(value) {
+  const { diagnosticsEnabled } = await saveSettings({ diagnosticsEnabled: value });
+  return diagnosticsEnabled;
+}
+
 export function getRuleMatchingConfig() {
   const strictness = getAnswerStrictness();
   const llmFallbackOverride = getLlmFallbackEnabled();
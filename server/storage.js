@@ -1,13 +1,18 @@
 import { promises as fs } from 'fs';
 import path from 'path';
 import crypto from 'crypto';
+import initSqlJs from 'sql.js';
 
 export const DATA_DIR = path.join(process.cwd(), 'data');
 export const DATA_FILE = path.join(DATA_DIR, 'quizzes.json');
 export const HOMEWORK_FILE = path.join(DATA_DIR, 'homework.json');
 export const LIVE_SESSIONS_FILE = path.join(DATA_DIR, 'live-sessions.json');
 export const SETTINGS_FILE = path.join(DATA_DIR, 'settings.json');
+export const USERS_FILE = path.join(DATA_DIR, 'users.json');
+export const DIAGNOSTICS_AUDIT_FILE = path.join(DATA_DIR, 'diagnostics-audit.jsonl');
 export const MEDIA_DIR = path.join(DATA_DIR, 'media');
+export const DATABASE_FILE = path.join(DATA_DIR, 'quiz.sqlite');
+export const BACKUPS_DIR = path.join(DATA_DIR, 'backups');
 
 async function ensureDir(directory) {
   await fs.mkdir(directory, { recursive: true });
@@ -21,19 +26,700 @@ export async function ensureMediaDir() {
   await ensureDir(MEDIA_DIR);
 }
 
-function sanitizeFileName(name = 'asset') {
-  const baseName = path.basename(name);
-  const cleaned = baseName.replace(/[^a-zA-Z0-9._-]/g, '_');
-  const extension = path.extname(cleaned);
-  const prefix = cleaned.slice(0, cleaned.length - extension.length) || 'asset';
-  const randomSuffix = crypto.randomBytes(5).toString('hex');
-  return `${prefix}-${randomSuffix}${extension}`;
+const MEDIA_KINDS = ['image', 'audio', 'video'];
+const DEFAULT_MAX_MEDIA_MB = 25;
+
+// Only formats browsers play natively. SVG is left out on purpose because it can carry script.
+const MEDIA_MIME_TYPES = new Map([
+  ['image/png', '.png'],
+  ['image/jpeg', '.jpg'],
+  ['image/gif', '.gif'],
+  ['image/webp', '.webp'],
+  ['audio/mpeg', '.mp3'],
+  ['audio/ogg', '.ogg'],
+  ['audio/wav', '.wav'],
+  ['audio/flac', '.flac'],
+  ['audio/mp4', '.m4a'],
+  ['audio/webm', '.weba'],
+  ['video/mp4', '.mp4'],
+  ['video/webm', '.webm'],
+  ['video/quicktime', '.mov'],
+]);
+
+export function getMaxMediaBytes() {
+  const parsed = Number.parseFloat(process.env.MEDIA_MAX_MB);
+  const megabytes = Number.isFinite(parsed) && parsed > 0 ? parsed : DEFAULT_MAX_MEDIA_MB;
+  return Math.round(megabytes * 1024 * 1024);
 }
 
-export async function saveMediaAsset(buffer, originalName = 'asset') {
+function mediaKindOf(mimeType = '') {
+  const kind = String(mimeType).split('/')[0];
+  return MEDIA_KINDS.includes(kind) ? kind : null;
+}
+
+// Identifies the file from its leading bytes so a renamed or mislabelled upload can't slip through.
+function sniffMimeType(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+  const ascii = (start, end) => buffer.toString('latin1', start, end);
+  if (buffer[0] === 0x89 && ascii(1, 4) === 'PNG') return 'image/png';
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (ascii(0, 4) === 'GIF8') return 'image/gif';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') return 'audio/wav';
+  if (ascii(0, 4) === 'OggS') return 'audio/ogg';
+  if (ascii(0, 4) === 'fLaC') return 'audio/flac';
+  if (ascii(0, 3) === 'ID3' || (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0)) return 'audio/mpeg';
+  if (buffer[0] === 0x1a && buffer[1] === 0x45 && buffer[2] === 0xdf && buffer[3] === 0xa3) return 'video/webm';
+  if (ascii(4, 8) === 'ftyp') {
+    const brand = ascii(8, 12);
+    if (brand.startsWith('M4A') || brand.startsWith('M4B')) return 'audio/mp4';
+    if (brand === 'qt  ') return 'video/quicktime';
+    return 'video/mp4';
+  }
+  return null;
+}
+
+function mediaError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+async function fileExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (_error) {
+    return false;
+  }
+}
+
+// Files are named after the SHA-256 of their contents, so identical uploads share one file.
+async function writeContentAddressed(buffer, extension) {
   await ensureMediaDir();
-  const fileName = sanitizeFileName(originalName);
+  const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+  const fileName = `${sha256}${extension}`;
   const filePath = path.join(MEDIA_DIR, fileName);
-  await fs.writeFile(filePath, buffer);
-  return `/media/${fileName}`;
+  const deduplicated = await fileExists(filePath);
+  if (!deduplicated) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, buffer);
+    await fs.rename(tempPath, filePath);
+  }
+  return { src: `/media/${fileName}`, sha256, deduplicated };
+}
+
+export async function saveMediaAsset(buffer, originalName = 'asset') {
+  const extension = path.extname(path.basename(originalName)).toLowerCase().replace(/[^a-z0-9.]/g, '');
+  const { src } = await writeContentAddressed(buffer, extension);
+  return src;
+}
+
+// Validates an uploaded file and stores it. `declaredType` is what the browser claimed;
+// the sniffed type wins, but the two must agree on image/audio/video.
+export async function storeMediaUpload(buffer, { declaredType = '', originalName = '' } = {}) {
+  if (!buffer?.length) {
+    throw mediaError('The uploaded file is empty.', 'EMPTY_MEDIA');
+  }
+  if (buffer.length > getMaxMediaBytes()) {
+    throw mediaError(`Media files must be ${Math.round(getMaxMediaBytes() / (1024 * 1024))} MB or smaller.`, 'MEDIA_TOO_LARGE');
+  }
+  const mimeType = sniffMimeType(buffer);
+  if (!mimeType || !MEDIA_MIME_TYPES.has(mimeType)) {
+    throw mediaError('Unsupported media type. Upload a PNG, JPEG, GIF, WebP, MP3, OGG, WAV, FLAC, M4A, MP4, WebM or MOV file.', 'INVALID_MEDIA_TYPE');
+  }
+  const declaredKind = mediaKindOf(declaredType);
+  let kind = mediaKindOf(mimeType);
+  // WebM and Ogg containers hold either audio or video; trust the browser on which one it is.
+  if (declaredKind && declaredKind !== kind) {
+    if (mimeType === 'video/webm' && declaredKind === 'audio') kind = 'audio';
+    else if (mimeType === 'audio/ogg' && declaredKind === 'video') kind = 'video';
+    else throw mediaError(`The file contents don't match its ${declaredKind} type.`, 'INVALID_MEDIA_TYPE');
+  }
+
+  const stored = await writeContentAddressed(buffer, MEDIA_MIME_TYPES.get(mimeType));
+  return {
+    media: {
+      type: kind,
+      name: path.basename(String(originalName || '')).slice(0, 200) || `${kind}${MEDIA_MIME_TYPES.get(mimeType)}`,
+      src: stored.src,
+    },
+    mimeType,
+    size: buffer.length,
+    sha256: stored.sha256,
+    deduplicated: stored.deduplicated,
+  };
+}
+
+// Used to move legacy base64 `data:` media out of stored quizzes. Returns null for anything that
+// isn't a decodable data URL so callers can leave it untouched.
+export async function storeDataUrlMedia(dataUrl, originalName = '') {
+  const match = /^data:([^;,]*)(;[^,]*)?,(.*)$/s.exec(String(dataUrl ?? ''));
+  if (!match || !String(match[2] || '').includes(';base64')) return null;
+  const buffer = Buffer.from(match[3], 'base64');
+  const extension = MEDIA_MIME_TYPES.get(sniffMimeType(buffer) || match[1])
+    || path.extname(path.basename(originalName)).toLowerCase().replace(/[^a-z0-9.]/g, '');
+  const { src } = await writeContentAddressed(buffer, extension);
+  return src;
+}
+
+// sql.js keeps the database in memory. Each commit appends the statements it ran to a journal
+// and is acknowledged once that append is synced; the whole file is only rewritten (via
+// write-then-rename) at checkpoints, after which the journals it covers are deleted.
+const CHECKPOINT_DELAY_MS = 5000;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT);
+  CREATE TABLE IF NOT EXISTS quizzes (
+    id TEXT PRIMARY KEY,
+    owner_id TEXT,
+    created_at INTEGER,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS homework (
+    id TEXT PRIMARY KEY,
+    template_id TEXT,
+    created_at INTEGER,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS homework_submissions (
+    homework_id TEXT NOT NULL,
+    key TEXT NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (homework_id, key)
+  );
+  CREATE TABLE IF NOT EXISTS live_sessions (
+    id TEXT PRIMARY KEY,
+    template_id TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS quiz_revisions (
+    quiz_id TEXT NOT NULL,
+    revision INTEGER NOT NULL,
+    author_id TEXT,
+    created_at INTEGER NOT NULL,
+    note TEXT,
+    data TEXT NOT NULL,
+    PRIMARY KEY (quiz_id, revision)
+  );
+`;
+
+const REQUIRED_TABLES = ['meta', 'quizzes', 'homework', 'homework_submissions', 'live_sessions', 'quiz_revisions'];
+
+let sqlModule = null;
+
+function loadSql() {
+  if (!sqlModule) sqlModule = initSqlJs();
+  return sqlModule;
+}
+
+const TABLE_KEYS = {
+  quizzes: ['id'],
+  homework: ['id'],
+  homework_submissions: ['homework_id', 'key'],
+  live_sessions: ['id'],
+};
+
+const LEGACY_FILES = {
+  quizzes: DATA_FILE,
+  homework: HOMEWORK_FILE,
+  liveSessions: LIVE_SESSIONS_FILE,
+};
+
+function rowKey(table, row) {
+  return TABLE_KEYS[table].map((column) => row[column]).join('\u0000');
+}
+
+function quizRow(quiz) {
+  return {
+    id: quiz.id,
+    owner_id: quiz.ownerId || null,
+    created_at: Number(quiz.createdAt) || null,
+    data: JSON.stringify(quiz),
+  };
+}
+
+function homeworkRows(session) {
+  const { submissions = [], ...rest } = session;
+  return {
+    homework: {
+      id: session.id,
+      template_id: session.templateId || null,
+      created_at: Number(session.createdAt) || null,
+      data: JSON.stringify(rest),
+    },
+    submissions: submissions
+      .filter((entry) => entry?.key)
+      .map((entry) => ({ homework_id: session.id, key: entry.key, data: JSON.stringify(entry) })),
+  };
+}
+
+function liveSessionRow(session) {
+  return {
+    id: session.id,
+    template_id: session.templateId || null,
+    data: JSON.stringify(session),
+  };
+}
+
+function revisionFromRow(row) {
+  return {
+    revision: row.revision,
+    authorId: row.author_id || null,
+    createdAt: row.created_at,
+    note: row.note || '',
+    snapshot: JSON.parse(row.data),
+  };
+}
+
+async function readLegacyJson(filePath) {
+  try {
+    const parsed = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      /* eslint-disable no-console */
+      console.error(`Failed to read ${path.basename(filePath)} for migration`, error);
+    }
+    return null;
+  }
+}
+
+class SqliteStore {
+  constructor(SQL, db, filePath) {
+    this.SQL = SQL;
+    this.db = db;
+    this.filePath = filePath;
+    // table -> (row key -> serialized row) mirrors what is committed, so saves only touch changed rows.
+    this.committed = new Map(Object.keys(TABLE_KEYS).map((table) => [table, new Map()]));
+    this.flushTimer = null;
+    this.flushing = null;
+    this.dirty = false;
+    // Statements run by the open transaction, journaled once it commits.
+    this.statements = null;
+    this.journalGeneration = 0;
+    this.journalQueue = [];
+    this.journalDraining = false;
+    // The batch being appended, so a checkpoint can let it land before deleting its journal.
+    this.journalWrite = Promise.resolve();
+  }
+
+  init() {
+    this.db.exec(SCHEMA);
+    this.committed = new Map(Object.keys(TABLE_KEYS).map((table) => [table, new Map()]));
+    Object.keys(TABLE_KEYS).forEach((table) => {
+      const cache = this.committed.get(table);
+      this.selectAll(`SELECT * FROM ${table}`).forEach((row) => {
+        cache.set(rowKey(table, row), JSON.stringify(row));
+      });
+    });
+  }
+
+  selectAll(sql, params = []) {
+    const statement = this.db.prepare(sql);
+    try {
+      statement.bind(params);
+      const rows = [];
+      while (statement.step()) rows.push(statement.getAsObject());
+      return rows;
+    } finally {
+      statement.free();
+    }
+  }
+
+  getMeta(key) {
+    return this.selectAll('SELECT value FROM meta WHERE key = ?', [key])[0]?.value ?? null;
+  }
+
+  setMeta(key, value) {
+    this.run('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)', [key, String(value)]);
+  }
+
+  // Every write goes through here so it can be journaled. Statements are upserts and keyed
+  // deletes, so replaying a journal the file already covers changes nothing.
+  run(sql, params = []) {
+    this.db.run(sql, params);
+    if (this.statements) this.statements.push([sql, params]);
+  }
+
+  // Runs `work` inside BEGIN/COMMIT and resolves once the commit is in the journal on disk.
+  // The row caches are rolled back with the database on failure.
+  transaction(work) {
+    const snapshot = new Map(Array.from(this.committed, ([table, cache]) => [table, new Map(cache)]));
+    this.statements = [];
+    this.db.exec('BEGIN');
+    let statements;
+    try {
+      work();
+      this.db.exec('COMMIT');
+      statements = this.statements;
+    } catch (error) {
+      this.db.exec('ROLLBACK');
+      this.committed = snapshot;
+      throw error;
+    } finally {
+      this.statements = null;
+    }
+    if (!statements.length) return Promise.resolve();
+    this.scheduleFlush();
+    return this.appendJournal(statements);
+  }
+
+  // Writes one row unless the committed copy is identical.
+  writeRow(table, row) {
+    const cache = this.committed.get(table);
+    const key = rowKey(table, row);
+    const serialized = JSON.stringify(row);
+    if (cache.get(key) === serialized) return;
+    const columns = Object.keys(row);
+    this.run(
+      `INSERT OR REPLACE INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      columns.map((column) => row[column]),
+    );
+    cache.set(key, serialized);
+  }
+
+  // Replaces the full contents of `table` with `rows`, writing only inserts, changes and deletes.
+  syncTable(table, rows) {
+    const cache = this.committed.get(table);
+    const keyColumns = TABLE_KEYS[table];
+    const seen = new Set();
+    rows.forEach((row) => {
+      seen.add(rowKey(table, row));
+      this.writeRow(table, row);
+    });
+    Array.from(cache.keys()).forEach((key) => {
+      if (seen.has(key)) return;
+      const row = JSON.parse(cache.get(key));
+      this.run(
+        `DELETE FROM ${table} WHERE ${keyColumns.map((column) => `${column} = ?`).join(' AND ')}`,
+        keyColumns.map((column) => row[column]),
+      );
+      cache.delete(key);
+    });
+  }
+
+  readData(table, orderBy = 'rowid') {
+    return this.selectAll(`SELECT data FROM ${table} ORDER BY ${orderBy}`)
+      .map((row) => {
+        try {
+          return JSON.parse(row.data);
+        } catch (_error) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  loadQuizzes() {
+    return this.readData('quizzes', 'created_at, rowid');
+  }
+
+  // Revisions are append-only, so they are inserted alongside the quiz rows in the same transaction.
+  saveQuizzes(quizzes, { revisions = [] } = {}) {
+    return this.transaction(() => {
+      this.syncTable('quizzes', quizzes.map(quizRow));
+      revisions.forEach((entry) => {
+        this.run(
+          'INSERT OR REPLACE INTO quiz_revisions (quiz_id, revision, author_id, created_at, note, data) VALUES (?, ?, ?, ?, ?, ?)',
+          [entry.quizId, entry.revision, entry.authorId || null, entry.createdAt, entry.note || null, JSON.stringify(entry.snapshot)],
+        );
+      });
+      const liveIds = new Set(quizzes.map((quiz) => quiz.id));
+      this.selectAll('SELECT DISTINCT quiz_id FROM quiz_revisions').forEach(({ quiz_id: quizId }) => {
+        if (!liveIds.has(quizId)) this.run('DELETE FROM quiz_revisions WHERE quiz_id = ?', [quizId]);
+      });
+    });
+  }
+
+  listQuizRevisions(quizId) {
+    return this.selectAll(
+      'SELECT revision, author_id, created_at, note, data FROM quiz_revisions WHERE quiz_id = ? ORDER BY revision DESC',
+      [quizId],
+    ).map(revisionFromRow);
+  }
+
+  getQuizRevision(quizId, revision) {
+    const [row] = this.selectAll(
+      'SELECT revision, author_id, created_at, note, data FROM quiz_revisions WHERE quiz_id = ? AND revision = ?',
+      [quizId, revision],
+    );
+    return row ? revisionFromRow(row) : null;
+  }
+
+  loadHomework() {
+    const submissionsByHomework = new Map();
+    this.readData('homework_submissions').forEach((entry) => {
+      if (!submissionsByHomework.has(entry.homeworkId)) submissionsByHomework.set(entry.homeworkId, []);
+      submissionsByHomework.get(entry.homeworkId).push(entry);
+    });
+    return this.readData('homework', 'created_at, rowid').map((session) => ({
+      ...session,
+      submissions: (submissionsByHomework.get(session.id) || []).map(({ homeworkId, ...entry }) => entry),
+    }));
+  }
+
+  saveHomework(homeworkSessions) {
+    return this.transaction(() => this.syncHomework(homeworkSessions));
+  }
+
+  loadLiveSessions() {
+    return this.readData('live_sessions');
+  }
+
+  saveLiveSessions(liveSessions) {
+    return this.transaction(() => this.syncTable('live_sessions', liveSessions.map(liveSessionRow)));
+  }
+
+  // Saves one session's row and leaves the others alone.
+  saveLiveSession(liveSession) {
+    return this.transaction(() => this.writeRow('live_sessions', liveSessionRow(liveSession)));
+  }
+
+  // Imports the pre-SQLite JSON files once, then renames them so nobody edits a stale copy.
+  async migrateLegacyJson() {
+    if (this.getMeta('legacy_json_migrated')) return;
+
+    const [quizzes, homework, liveSessions] = await Promise.all([
+      readLegacyJson(LEGACY_FILES.quizzes),
+      readLegacyJson(LEGACY_FILES.homework),
+      readLegacyJson(LEGACY_FILES.liveSessions),
+    ]);
+
+    await this.transaction(() => {
+      if (quizzes) this.syncTable('quizzes', quizzes.filter((quiz) => quiz?.id).map(quizRow));
+      if (homework) this.syncHomework(homework.filter((session) => session?.id));
+      if (liveSessions) {
+        this.syncTable('live_sessions', liveSessions.filter((session) => session?.id).map(liveSessionRow));
+      }
+      this.setMeta('legacy_json_migrated', Date.now());
+    });
+    await this.flush();
+
+    const migrated = [
+      [quizzes, LEGACY_FILES.quizzes],
+      [homework, LEGACY_FILES.homework],
+      [liveSessions, LEGACY_FILES.liveSessions],
+    ].filter(([entries]) => entries);
+    await Promise.all(migrated.map(([, filePath]) => fs.rename(filePath, `${filePath}.migrated`)));
+    if (migrated.length) {
+      /* eslint-disable no-console */
+      console.log(`Migrated ${migrated.map(([, filePath]) => path.basename(filePath)).join(', ')} into ${path.basename(this.filePath)}`);
+    }
+  }
+
+  syncHomework(homeworkSessions) {
+    const homework = [];
+    const submissions = [];
+    homeworkSessions.forEach((session) => {
+      const rows = homeworkRows({
+        ...session,
+        submissions: (session.submissions || []).map((entry) => ({ ...entry, homeworkId: session.id })),
+      });
+      homework.push(rows.homework);
+      submissions.push(...rows.submissions);
+    });
+    this.syncTable('homework', homework);
+    this.syncTable('homework_submissions', submissions);
+  }
+
+  exportDatabase() {
+    return this.db.export();
+  }
+
+  // Swaps in a database restored from a backup and writes it straight to disk.
+  async replaceDatabase(bytes) {
+    const next = openValidatedDatabase(this.SQL, bytes);
+    const previous = this.db;
+    this.db = next;
+    this.init();
+    previous.close();
+    this.dirty = true;
+    await this.flush();
+  }
+
+  journalPath(generation) {
+    return `${this.filePath}.journal.${generation}`;
+  }
+
+  async listJournals() {
+    const prefix = `${path.basename(this.filePath)}.journal.`;
+    const names = await fs.readdir(path.dirname(this.filePath));
+    return names
+      .filter((name) => name.startsWith(prefix) && /^\d+$/.test(name.slice(prefix.length)))
+      .map((name) => ({
+        generation: Number(name.slice(prefix.length)),
+        filePath: path.join(path.dirname(this.filePath), name),
+      }))
+      .sort((a, b) => a.generation - b.generation);
+  }
+
+  appendJournal(statements) {
+    return new Promise((resolve, reject) => {
+      this.journalQueue.push({ line: JSON.stringify(statements), resolve, reject });
+      if (!this.journalDraining) this.drainJournal();
+    });
+  }
+
+  // Appends queued commits in batches with one sync each. The journal is picked when the batch
+  // is taken, so commits made after a checkpoint's export never go to a journal it deletes.
+  async drainJournal() {
+    this.journalDraining = true;
+    while (this.journalQueue.length) {
+      const batch = this.journalQueue.splice(0);
+      const target = this.journalPath(this.journalGeneration);
+      this.journalWrite = (async () => {
+        const handle = await fs.open(target, 'a');
+        try {
+          await handle.appendFile(`${batch.map((entry) => entry.line).join('\n')}\n`);
+          await handle.datasync();
+        } finally {
+          await handle.close();
+        }
+      })();
+      try {
+        await this.journalWrite;
+        batch.forEach((entry) => entry.resolve());
+      } catch (error) {
+        batch.forEach((entry) => entry.reject(error));
+      }
+    }
+    this.journalDraining = false;
+  }
+
+  // Applies journals left by a crash since the last checkpoint. A torn final line is a commit
+  // that was never acknowledged, so it is skipped.
+  async replayJournals() {
+    const journals = await this.listJournals();
+    let replayed = 0;
+    for (const { generation, filePath } of journals) {
+      const lines = (await fs.readFile(filePath, 'utf8')).split('\n').filter(Boolean);
+      lines.forEach((line) => {
+        let statements;
+        try {
+          statements = JSON.parse(line);
+        } catch (_error) {
+          return;
+        }
+        this.db.exec('BEGIN');
+        try {
+          statements.forEach(([sql, params]) => this.db.run(sql, params));
+          this.db.exec('COMMIT');
+          replayed += 1;
+        } catch (error) {
+          this.db.exec('ROLLBACK');
+          throw error;
+        }
+      });
+      this.journalGeneration = Math.max(this.journalGeneration, generation + 1);
+    }
+    if (!journals.length) return;
+    if (replayed) this.init();
+    this.dirty = true;
+    await this.flush();
+  }
+
+  async removeJournals(upToGeneration) {
+    const journals = await this.listJournals();
+    await Promise.all(journals
+      .filter(({ generation }) => generation <= upToGeneration)
+      .map(({ filePath }) => fs.rm(filePath, { force: true })));
+  }
+
+  scheduleFlush() {
+    this.dirty = true;
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush().catch((error) => {
+        /* eslint-disable no-console */
+        console.error('Failed to write database to disk', error);
+      });
+    }, CHECKPOINT_DELAY_MS);
+  }
+
+  // Checkpoint: writes the database to a temp file and renames it over the old one so a crash
+  // mid-write never leaves a truncated database behind, then drops the journals it covers.
+  async flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    while (this.flushing) {
+      await this.flushing;
+    }
+    if (!this.dirty) return;
+    this.dirty = false;
+    const bytes = this.db.export();
+    // Commits from here on go to a fresh journal; everything before is in `bytes`.
+    const coveredGeneration = this.journalGeneration;
+    this.journalGeneration += 1;
+    const pendingAppend = this.journalWrite.catch(() => {});
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    this.flushing = (async () => {
+      await ensureDataDir();
+      await fs.writeFile(tempPath, bytes);
+      await fs.rename(tempPath, this.filePath);
+      await pendingAppend;
+      await this.removeJournals(coveredGeneration);
+    })();
+    try {
+      await this.flushing;
+    } catch (error) {
+      this.dirty = true;
+      throw error;
+    } finally {
+      this.flushing = null;
+    }
+  }
+}
+
+function invalidDatabase(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_DATABASE';
+  return error;
+}
+
+function openValidatedDatabase(SQL, bytes) {
+  let db;
+  try {
+    db = new SQL.Database(bytes);
+    const [integrity] = db.exec('PRAGMA integrity_check');
+    if (integrity?.values?.[0]?.[0] !== 'ok') {
+      throw invalidDatabase('The database failed its integrity check.');
+    }
+    const [tables] = db.exec("SELECT name FROM sqlite_master WHERE type = 'table'");
+    const names = new Set((tables?.values || []).map(([name]) => name));
+    const missing = REQUIRED_TABLES.filter((table) => !names.has(table));
+    if (missing.length) {
+      throw invalidDatabase(`The database is missing tables: ${missing.join(', ')}.`);
+    }
+    return db;
+  } catch (error) {
+    db?.close();
+    if (error.code === 'INVALID_DATABASE') throw error;
+    throw invalidDatabase('The file is not a readable quiz database.');
+  }
+}
+
+// Throws an INVALID_DATABASE error unless `bytes` is a quiz database this server can open.
+export async function validateDatabaseBytes(bytes) {
+  const SQL = await loadSql();
+  openValidatedDatabase(SQL, bytes).close();
+}
+
+export async function openStore(filePath = DATABASE_FILE) {
+  await ensureDataDir();
+  const SQL = await loadSql();
+  let existing = null;
+  try {
+    existing = await fs.readFile(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  const store = new SqliteStore(SQL, existing ? new SQL.Database(existing) : new SQL.Database(), filePath);
+  store.init();
+  await store.replayJournals();
+  await store.migrateLegacyJson();
+  return store;
 }
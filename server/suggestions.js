@@ -0,0 +1,85 @@
+import { nanoid } from 'nanoid';
+import { normaliseAnswer } from './evaluation.js';
+
+// Answers a teacher accepted during a game or in homework review wait here until the quiz's
+// author approves them into the question, so a one-off judgement never edits a quiz silently.
+export const SUGGESTION_LISTS = {
+  alternate: 'alternateAnswers',
+  partial: 'partialAnswers',
+};
+
+const MAX_PENDING_SUGGESTIONS = 100;
+const MAX_SUGGESTION_LENGTH = 200;
+
+// The answer lists a question can take suggestions for.
+export function suggestionListsFor(question) {
+  const type = String(question?.type || 'open').toLowerCase();
+  if (type === 'open') return ['alternate', 'partial'];
+  if (type === 'dictation') return ['alternate'];
+  return [];
+}
+
+// Questions can move or change after a suggestion is made, so the prompt is the anchor
+// and the index only a hint.
+export function findSuggestionTarget(questions = [], { questionIndex, prompt }) {
+  if (questions[questionIndex]?.prompt === prompt) return questionIndex;
+  return questions.findIndex((question) => question.prompt === prompt);
+}
+
+const alreadyListed = (question, answer) => [
+  question.answer,
+  ...(question.alternateAnswers || []),
+  ...(question.partialAnswers || []),
+].some((entry) => normaliseAnswer(entry) === answer);
+
+// Queues `answer` on the template. Returns `{ suggestion }`, or `{ error }` when it can't be added.
+export function addAnswerSuggestion(template, { questionIndex = -1, prompt, answer, list, source, suggestedBy = null }) {
+  const normalized = normaliseAnswer(answer).slice(0, MAX_SUGGESTION_LENGTH);
+  if (!normalized) return { error: 'There is no answer to suggest.' };
+  const targetIndex = findSuggestionTarget(template.questions, { questionIndex, prompt });
+  const question = template.questions[targetIndex];
+  if (!question) return { error: 'That question is no longer in the quiz.' };
+  const lists = suggestionListsFor(question);
+  if (!lists.length) return { error: 'This question type does not take suggested answers.' };
+  if (!lists.includes(list)) return { error: `This question type does not take ${list} answers.` };
+  if (alreadyListed(question, normalized)) return { error: 'That answer is already accepted.' };
+
+  const pending = Array.isArray(template.answerSuggestions) ? template.answerSuggestions : [];
+  const existing = pending.find((entry) => entry.prompt === question.prompt && entry.answer === normalized);
+  if (existing) return { suggestion: existing };
+  if (pending.length >= MAX_PENDING_SUGGESTIONS) {
+    return { error: 'This quiz already has too many pending suggestions. Review some first.' };
+  }
+
+  const suggestion = {
+    id: nanoid(10),
+    questionIndex: targetIndex,
+    prompt: question.prompt,
+    answer: normalized,
+    list,
+    source,
+    suggestedBy,
+    suggestedAt: Date.now(),
+  };
+  template.answerSuggestions = [...pending, suggestion];
+  return { suggestion };
+}
+
+// Returns a copy of `questions` with the suggestion appended to its list, or `{ error }`.
+export function applyAnswerSuggestion(questions = [], suggestion) {
+  const targetIndex = findSuggestionTarget(questions, suggestion);
+  const question = questions[targetIndex];
+  if (!question) return { error: 'That question is no longer in the quiz.' };
+  if (!suggestionListsFor(question).includes(suggestion.list)) {
+    return { error: 'This question type does not take suggested answers.' };
+  }
+  const key = SUGGESTION_LISTS[suggestion.list];
+  const updated = questions.slice();
+  updated[targetIndex] = {
+    ...question,
+    [key]: alreadyListed(question, suggestion.answer)
+      ? question[key] || []
+      : [...(question[key] || []), suggestion.answer],
+  };
+  return { questions: updated };
+}
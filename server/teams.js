@@ -0,0 +1,83 @@
+// Team mode groups the players of a live session. Players keep their own scores;
+// a team's score is aggregated from its members when the team leaderboard is built.
+export const TEAM_ASSIGNMENTS = ['auto', 'choose'];
+export const TEAM_AGGREGATES = ['total', 'average', 'best'];
+// 'each': every member answers and scores for themselves.
+// 'one': the first answer from a team counts for every member of that team.
+export const TEAM_ANSWER_MODES = ['each', 'one'];
+
+const MIN_TEAMS = 2;
+const MAX_TEAMS = 12;
+const MAX_TEAM_NAME_LENGTH = 30;
+const DEFAULT_TEAM_NAMES = [
+  'Red', 'Blue', 'Green', 'Yellow', 'Purple', 'Orange',
+  'Teal', 'Pink', 'Silver', 'Gold', 'Indigo', 'Lime',
+];
+
+const pick = (value, allowed) => {
+  const normalized = String(value ?? '').trim().toLowerCase();
+  return allowed.includes(normalized) ? normalized : allowed[0];
+};
+
+// Returns null when team mode is off.
+export function sanitizeTeamSettings(raw) {
+  if (!raw?.enabled) return null;
+  const names = (Array.isArray(raw.teamNames) ? raw.teamNames : [])
+    .map((name) => String(name ?? '').trim().slice(0, MAX_TEAM_NAME_LENGTH))
+    .filter(Boolean);
+  const requested = Number.parseInt(raw.teamCount, 10) || names.length || MIN_TEAMS;
+  const teamCount = Math.min(Math.max(requested, MIN_TEAMS), MAX_TEAMS);
+  return {
+    assignment: pick(raw.assignment, TEAM_ASSIGNMENTS),
+    aggregate: pick(raw.aggregate, TEAM_AGGREGATES),
+    answerMode: pick(raw.answerMode, TEAM_ANSWER_MODES),
+    teams: Array.from({ length: teamCount }, (_unused, index) => ({
+      id: `team-${index + 1}`,
+      name: names[index] || DEFAULT_TEAM_NAMES[index] || `Team ${index + 1}`,
+    })),
+  };
+}
+
+export function findTeam(settings, teamId) {
+  return settings?.teams.find((team) => team.id === teamId) || null;
+}
+
+// The team with the fewest members; ties go to the earlier team so teams fill in order.
+export function pickBalancedTeam(settings, players = []) {
+  if (!settings?.teams.length) return null;
+  const sizes = new Map(settings.teams.map((team) => [team.id, 0]));
+  players.forEach((player) => {
+    if (sizes.has(player.teamId)) sizes.set(player.teamId, sizes.get(player.teamId) + 1);
+  });
+  return settings.teams.reduce((best, team) => (sizes.get(team.id) < sizes.get(best.id) ? team : best));
+}
+
+// Assigns every player without a valid team, keeping the teams as even as possible.
+export function balanceUnassignedPlayers(settings, players = []) {
+  if (!settings) return;
+  players.forEach((player) => {
+    if (findTeam(settings, player.teamId)) return;
+    player.teamId = pickBalancedTeam(settings, players).id;
+  });
+}
+
+export function formatTeamLeaderboard(settings, players = []) {
+  if (!settings) return [];
+  return settings.teams
+    .map((team) => {
+      const members = players.filter((player) => player.teamId === team.id);
+      const scores = members.map((player) => Number(player.score) || 0);
+      const total = scores.reduce((sum, score) => sum + score, 0);
+      let score = total;
+      if (settings.aggregate === 'average') score = members.length ? Math.round(total / members.length) : 0;
+      if (settings.aggregate === 'best') score = members.length ? Math.max(...scores) : 0;
+      return {
+        id: team.id,
+        name: team.name,
+        score,
+        members: members.map((player) => player.name),
+        correctCount: members.reduce((sum, player) => sum + (player.correctCount || 0), 0),
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+}